@@ -1,5 +1,5 @@
 // src/App.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Routes, Route, NavLink } from 'react-router-dom';
 import './styles/bootstrap/bootstrap.min.css';
 
@@ -7,31 +7,50 @@ import './styles/bootstrap/bootstrap.min.css';
 import AccountManager from './components/AccountManager/AccountManager';
 import GameList from './components/GameList/GameList';
 import AccountList from './components/GameList/AccountList';
+import DeleteGamesForm from './components/GameList/DeleteGamesForm';
 import ProgressBar from './components/GeneralUI/ProgressBar';
 import ThemeSwitcher from './components/GeneralUI/ThemeSwitcher';
+import WorkspaceSwitcher from './components/GeneralUI/WorkspaceSwitcher';
 import ChessVariationTree from './components/ChessTree/ChessVariationTree';
 import Flowchart from './components/ChessTree/Flowchart';
 
 // Services
-import { clearTreeStorage } from './components/ChessTree/ChessVariationTree';
-import { fetchChessComGames } from './services/api/chessComApi';
-import { fetchLichessGames } from './services/api/lichessApi';
-import { extractGameInfo } from './services/utils/pgn';
+import { createFetchJob, runFetchJob, NO_SAVED_GAMES } from './services/import/fetchJob';
+import { getSource, getSourceLabel } from './services/sources/sourceRegistry';
 import { initDB } from './services/db/dbService';
-import { saveGames, getGames, clearGames } from './services/db/gameStorage'
+import { getGames, clearGames, deleteGames, reindexPositions } from './services/db/gameStorage'
+import { saveGamesInWorker } from './services/db/saveGamesInWorker';
+import { clearArchiveCache } from './services/db/archiveCache';
+import { clearSavedTree } from './services/db/treeStorage';
+import { downloadBackup, readBackupFile, restoreBackup } from './services/db/backup';
+import { deleteAccount, saveAccountToken, deleteAccountToken, getAccountIdsWithToken } from './services/db/accountStorage';
+import { getInterruptedJob, finishJob } from './services/db/jobStorage';
+import { loadWorkspaceSettings, saveWorkspaceSettings } from './services/db/workspaces';
+import { subscribeToChanges } from './services/db/changeFeed';
+import { getAccountId } from './services/utils/accounts';
+import { DEFAULT_IMPORT_FILTERS } from './services/utils/importFilters';
+import { DEFAULT_POSITION_INDEX_PLY } from './services/utils/positions';
 
 function App() {
-  const [chessAccounts, setChessAccounts] = useState(['']);
-  const [lichessAccounts, setLichessAccounts] = useState(['']);
+  const [savedSettings] = useState(loadWorkspaceSettings);
+  const [sourceAccounts, setSourceAccounts] = useState(savedSettings.sourceAccounts ?? {});
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState('');
-  const [gamesPerAccount, setGamesPerAccount] = useState(250);
+  const [gamesPerAccount, setGamesPerAccount] = useState(savedSettings.gamesPerAccount ?? 250);
   const [storedGameCount, setStoredGameCount] = useState(0);
-  const [analysisDepth, setAnalysisDepth] = useState(20);
+  const [analysisDepth, setAnalysisDepth] = useState(savedSettings.analysisDepth ?? 20);
   //const [isDbInitialized, setIsDbInitialized] = useState(false);
   const [showLoadingBar, setShowLoadingBar] = useState(false);
+  const [syncMode, setSyncMode] = useState(savedSettings.syncMode ?? true);
+  const [syncSummary, setSyncSummary] = useState(null);
+  const [importFilters, setImportFilters] = useState(savedSettings.importFilters ?? DEFAULT_IMPORT_FILTERS);
+  const [interruptedJob, setInterruptedJob] = useState(null);
+  // Accounts with a stored API token, the token inputs themselves start empty
+  const [tokenAccountIds, setTokenAccountIds] = useState(new Set());
+  const [positionIndexPly, setPositionIndexPly] = useState(savedSettings.positionIndexPly ?? DEFAULT_POSITION_INDEX_PLY);
+  const fetchControllerRef = useRef(null);
 
   // Initialize database on component mount
   useEffect(() => {
@@ -50,114 +69,168 @@ function App() {
     }
     setupDB();
   }, [storedGameCount]); // Avoid unnecessary re-renders
+
+  // Fetch options and usernames are remembered per workspace, tokens only in the accounts store
+  useEffect(() => {
+    const usernames = Object.fromEntries(Object.entries(sourceAccounts).map(([sourceId, inputs]) => [
+      sourceId,
+      inputs.map(({ username }) => ({ username, token: '' }))
+    ]));
+    saveWorkspaceSettings({ sourceAccounts: usernames, gamesPerAccount, analysisDepth, syncMode, importFilters, positionIndexPly });
+  }, [sourceAccounts, gamesPerAccount, analysisDepth, syncMode, importFilters, positionIndexPly]);
+
+  useEffect(() => {
+    getAccountIdsWithToken().then(setTokenAccountIds);
+  }, []);
+
+  // Offer to resume a fetch that was interrupted by a reload or a closed tab
+  useEffect(() => {
+    getInterruptedJob().then(job => setInterruptedJob(job));
+  }, []);
+
+  // Games imported or deleted in another tab; this tab's own writes already reload the games
+  useEffect(() => subscribeToChanges(['games'], async (changes) => {
+    if (changes.every(change => change.local)) return;
+    try {
+      const storedGames = await getGames();
+      setGames(storedGames);
+      setStoredGameCount(storedGames.length);
+    } catch (error) {
+      console.error("Error reloading games:", error);
+    }
+  }), []);
   
 
-  // Handle adding a new account input field
-  const addChessAccount = () => {
-    setChessAccounts([...chessAccounts, '']);
-  };
+  // Account inputs ({ username, token }) are kept per source id;
+  // a source without inputs yet shows a single empty one
+  const emptyAccountInput = { username: '', token: '' };
+  const getSourceAccountInputs = (sourceId) => sourceAccounts[sourceId] || [emptyAccountInput];
 
-  const addLichessAccount = () => {
-    setLichessAccounts([...lichessAccounts, '']);
+  // Handle adding a new account input field
+  const addAccount = (sourceId) => {
+    setSourceAccounts({ ...sourceAccounts, [sourceId]: [...getSourceAccountInputs(sourceId), emptyAccountInput] });
   };
 
-  // Handle updating account values
-  const updateChessAccount = (index, value) => {
-    const updatedAccounts = [...chessAccounts];
-    updatedAccounts[index] = value;
-    setChessAccounts(updatedAccounts);
+  // Handle updating account values, changes is { username } or { token }
+  const updateAccount = (sourceId, index, changes) => {
+    const updatedAccounts = [...getSourceAccountInputs(sourceId)];
+    updatedAccounts[index] = { ...updatedAccounts[index], ...changes };
+    setSourceAccounts({ ...sourceAccounts, [sourceId]: updatedAccounts });
   };
 
-  const updateLichessAccount = (index, value) => {
-    const updatedAccounts = [...lichessAccounts];
-    updatedAccounts[index] = value;
-    setLichessAccounts(updatedAccounts);
+  // Deletes the stored token of an account (e.g. a revoked one), and whatever was typed for it
+  const removeToken = async (sourceId, index) => {
+    const { username } = getSourceAccountInputs(sourceId)[index];
+    try {
+      await deleteAccountToken(getAccountId(sourceId, username.trim()));
+      updateAccount(sourceId, index, { token: '' });
+      setTokenAccountIds(await getAccountIdsWithToken());
+    } catch (error) {
+      setError(error.message);
+    }
   };
 
   // Handle removing account input fields
-  const removeChessAccount = (index) => {
-    const updatedAccounts = [...chessAccounts];
-    updatedAccounts.splice(index, 1);
-    setChessAccounts(updatedAccounts.length ? updatedAccounts : ['']);
-  };
-
-  const removeLichessAccount = (index) => {
-    const updatedAccounts = [...lichessAccounts];
+  const removeAccount = (sourceId, index) => {
+    const updatedAccounts = [...getSourceAccountInputs(sourceId)];
     updatedAccounts.splice(index, 1);
-    setLichessAccounts(updatedAccounts.length ? updatedAccounts : ['']);
+    setSourceAccounts({ ...sourceAccounts, [sourceId]: updatedAccounts.length ? updatedAccounts : [emptyAccountInput] });
   };
 
   async function handleFetchGames() {
+    // Filter out empty usernames
+    const accountInputs = Object.entries(sourceAccounts).flatMap(([source, inputs]) =>
+      inputs
+        .filter(input => input.username.trim() !== '')
+        .map(input => ({ source, ...input }))
+    );
+
+    if (accountInputs.length === 0) {
+      setSyncSummary(null);
+      setError("Failed to fetch games: Please enter at least one username");
+      return;
+    }
+
+    // Tokens are saved on the account record, the job itself only keeps usernames
+    try {
+      for (const { source, username, token } of accountInputs) {
+        if (token.trim() !== '') {
+          await saveAccountToken(getAccountId(source, username), source, username, token.trim());
+        }
+      }
+    } catch (error) {
+      setError(`Failed to fetch games: ${error.message}`);
+      return;
+    }
+    setTokenAccountIds(await getAccountIdsWithToken());
+
+    const job = createFetchJob({
+      accounts: accountInputs.map(({ source, username }) => ({ source, username })),
+      gamesPerAccount,
+      syncMode,
+      filters: importFilters
+    });
+    await runJob(job);
+  }
+
+  // Runs a new or interrupted fetch job. Games are saved as each archive/batch arrives,
+  // so the stored collection is reloaded at the end whatever the outcome.
+  async function runJob(job) {
     setError('');
+    setSyncSummary(null);
+    setInterruptedJob(null);
     setLoading(true);
     setProgress(0);
     setShowLoadingBar(true);
-    setGames([]);
-    
+
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+
     try {
-      let allGames = [];
-      let errors = [];
-      
-      // Filter out empty usernames
-      const validChessAccounts = chessAccounts.filter(username => username.trim() !== '');
-      const validLichessAccounts = lichessAccounts.filter(username => username.trim() !== '');
-      
-      if (validChessAccounts.length === 0 && validLichessAccounts.length === 0) {
-        throw new Error("Please enter at least one Chess.com or Lichess username");
-      }
-      
-      // Fetch Chess.com games
-      for (const username of validChessAccounts) {
-        try {
-          const chessGames = await fetchChessComGames(username, gamesPerAccount, setProgress);
-          const enhancedGames = chessGames.map(game => extractGameInfo(game));
-          allGames = [...allGames, ...enhancedGames];
-        } catch (error) {
-          errors.push(`Chess.com (${username}): ${error.message}`);
-        }
-      }
-      
-      // Fetch Lichess games
-      for (const username of validLichessAccounts) {
-        try {
-          const lichessGames = await fetchLichessGames(username, gamesPerAccount);
-          const enhancedGames = lichessGames.map(game => extractGameInfo(game));
-          allGames = [...allGames, ...enhancedGames];
-        } catch (error) {
-          errors.push(`Lichess (${username}): ${error.message}`);
-        }
-      }
-      
-      // Sort games by date (newest first)
-      allGames.sort((a, b) => new Date(b.date) - new Date(a.date));
-      
-      // Store in IndexedDB with progress updates
-      if (allGames.length > 0) {
-        setProgress(50); // Set to 50% before saving to database
-        console.log(`Saving ${allGames.length} games to database...`);
-        
-        await saveGames(allGames, (progressPct) => {
-          // Map the database saving progress from 50% to 100%
-          setProgress(50 + (progressPct / 2));
-        });
-        
-        console.log("Games saved successfully");
-        
-        // Update counts
-        setGames(allGames);
-        setStoredGameCount(prev => prev + allGames.length);
-      } else {
+      const finishedJob = await runFetchJob(job, { signal: controller.signal, onProgress: setProgress });
+
+      const storedGames = await getGames();
+      setGames(storedGames);
+      setStoredGameCount(storedGames.length);
+
+      const fetchedGameCount = finishedJob.accounts.reduce((total, account) => total + account.fetched, 0);
+      // An account that failed midway keeps the batches saved before, say how many
+      const errors = finishedJob.accounts.flatMap(account => [
+        ...(account.error ? [account.fetched > 0
+          ? `${account.error} (the ${account.fetched} games fetched before were kept: ${formatSavedCounts(addSavedCounts(NO_SAVED_GAMES, account.saved))})`
+          : account.error] : []),
+        ...account.warnings
+      ].map(message => `${getSourceLabel(account.source)} (${account.username}): ${message}`));
+
+      const saved = finishedJob.accounts.reduce((total, account) => addSavedCounts(total, account.saved), NO_SAVED_GAMES);
+
+      if (finishedJob.status === 'cancelled') {
+        setSyncSummary({ title: `Fetch cancelled after ${fetchedGameCount} games (${formatSavedCounts(saved)})`, accounts: [] });
+      } else if (fetchedGameCount === 0 && !finishedJob.syncMode && errors.length === 0) {
         throw new Error("No games found for the provided accounts");
+      } else {
+        setSyncSummary({
+          title: finishedJob.syncMode
+            ? (saved.inserted > 0 ? `${saved.inserted} new games synced` : 'No new games found')
+            : `${fetchedGameCount} games fetched (${formatSavedCounts(saved)})`,
+          accounts: finishedJob.accounts.map(account => ({
+            source: getSourceLabel(account.source),
+            username: account.username,
+            count: account.fetched,
+            saved: account.saved || NO_SAVED_GAMES
+          }))
+        });
       }
-      
+
       // If there were errors but we still got some games, show partial error
       if (errors.length > 0) {
         const errorMessage = errors.slice(0, 2).join('; ') + (errors.length > 2 ? '...' : '');
         setError(`Some accounts failed: ${errorMessage}`);
-      }      
+      }
     } catch (error) {
       setError(`Failed to fetch games: ${error.message}`);
     } finally {
+      fetchControllerRef.current = null;
       setLoading(false);
       setProgress(100);
       // Keep the loading bar visible for a short time to show completion
@@ -167,11 +240,168 @@ function App() {
     }
   }
 
+  function handleCancelFetch() {
+    fetchControllerRef.current?.abort();
+  }
+
+  async function handleDiscardJob() {
+    await finishJob(interruptedJob, 'cancelled');
+    setInterruptedJob(null);
+  }
+
+  async function handleImportFile(sourceId, file, fields) {
+    setError('');
+    setSyncSummary(null);
+    setLoading(true);
+    setProgress(0);
+    setShowLoadingBar(true);
+
+    try {
+      const source = getSource(sourceId);
+      const importedGames = (await source.readFile(file, fields)).map(game => source.normalizeGame(game));
+
+      if (importedGames.length === 0) {
+        throw new Error("No games found in the selected file");
+      }
+
+      const result = await saveGamesInWorker(importedGames, setProgress);
+
+      const storedGames = await getGames();
+      setGames(storedGames);
+      setStoredGameCount(storedGames.length);
+      setSyncSummary({
+        title: `${importedGames.length} games read from ${file.name} (${formatSavedCounts(addSavedCounts(NO_SAVED_GAMES, result))})`,
+        accounts: []
+      });
+      if (result.failed.length > 0) {
+        setError(`${result.failed.length} games could not be saved: ${result.failed[0].reason}`);
+      }
+    } catch (error) {
+      setError(`Failed to import ${file.name}: ${error.message}`);
+    } finally {
+      setLoading(false);
+      setProgress(100);
+      setTimeout(() => {
+        setShowLoadingBar(false);
+      }, 1500);
+    }
+  }
+
+  async function handleDownloadBackup() {
+    setError('');
+    try {
+      await downloadBackup();
+    } catch (error) {
+      setError(error.message);
+    }
+  }
+
+  async function handleRestoreBackup(file, mode) {
+    setError('');
+    setSyncSummary(null);
+
+    try {
+      const backup = await readBackupFile(file);
+      const gameCount = backup.stores.games?.length || 0;
+      const message = mode === 'replace'
+        ? `Replace all local data with the backup from ${new Date(backup.createdAt).toLocaleString()} (${gameCount} games)?`
+        : `Merge the backup from ${new Date(backup.createdAt).toLocaleString()} (${gameCount} games) into the local data?`;
+      if (!window.confirm(message)) return;
+
+      setLoading(true);
+      await restoreBackup(backup, { mode });
+      setTokenAccountIds(await getAccountIdsWithToken());
+
+      // The backup's workspace settings replace the ones in use
+      const settings = loadWorkspaceSettings();
+      setSourceAccounts(settings.sourceAccounts ?? sourceAccounts);
+      setGamesPerAccount(settings.gamesPerAccount ?? gamesPerAccount);
+      setAnalysisDepth(settings.analysisDepth ?? analysisDepth);
+      setSyncMode(settings.syncMode ?? syncMode);
+      setImportFilters(settings.importFilters ?? importFilters);
+      setPositionIndexPly(settings.positionIndexPly ?? DEFAULT_POSITION_INDEX_PLY);
+
+      const storedGames = await getGames();
+      setGames(storedGames);
+      setStoredGameCount(storedGames.length);
+      setInterruptedJob(await getInterruptedJob());
+      setSyncSummary({
+        title: `Backup restored: ${storedGames.length} games stored`,
+        accounts: []
+      });
+    } catch (error) {
+      setError(`Failed to restore ${file.name}: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDeleteAccount(accountId) {
+    if (window.confirm(`Are you sure you want to delete ${accountId}? This will delete all of its stored games.`)) {
+      try {
+        await deleteAccount(accountId);
+        setTokenAccountIds(await getAccountIdsWithToken());
+        // The tree was built from the deleted games too
+        await clearSavedTree();
+        const storedGames = await getGames();
+        setGames(storedGames);
+        setStoredGameCount(storedGames.length);
+      } catch (error) {
+        setError(`Failed to delete account: ${error.message}`);
+      }
+    }
+  }
+
+  // Resolves to true once the games are deleted
+  async function handleDeleteGames(query, matchingCount) {
+    if (!window.confirm(`Are you sure you want to delete ${matchingCount} games? This cannot be undone.`)) {
+      return false;
+    }
+
+    setError('');
+    setSyncSummary(null);
+    try {
+      const deletedCount = await deleteGames(query);
+      // The tree was built from the deleted games too
+      await clearSavedTree();
+      const storedGames = await getGames();
+      setGames(storedGames);
+      setStoredGameCount(storedGames.length);
+      setSyncSummary({ title: `${deletedCount} games deleted`, accounts: [] });
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  }
+
+  // Stored games keep the positions they were indexed with until they are re-indexed
+  async function handlePositionIndexPlyChange(ply) {
+    setError('');
+    setPositionIndexPly(ply);
+    setLoading(true);
+    setProgress(0);
+    setShowLoadingBar(true);
+
+    try {
+      await reindexPositions(ply, setProgress);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+      setProgress(100);
+      setTimeout(() => {
+        setShowLoadingBar(false);
+      }, 1500);
+    }
+  }
+
   async function handleClearDatabase() {
     if (window.confirm("Are you sure you want to clear the database? This will delete all stored games.")) {
       try {
         await clearGames();
-        clearTreeStorage();
+        await clearArchiveCache();
+        await clearSavedTree();
         setStoredGameCount(0);
         setGames([]);
         alert("Database cleared successfully");
@@ -185,7 +415,7 @@ function App() {
     <div className="container py-4">
       
       <header className="pb-3 mb-4 border-bottom">
-        <div className="d-flex justify-content-between"> <h1 className="fw-bold">Chess Game Analyzer </h1> <ThemeSwitcher /> </div>
+        <div className="d-flex justify-content-between"> <h1 className="fw-bold">Chess Game Analyzer </h1> <div className="d-flex align-items-center"> <WorkspaceSwitcher /> <ThemeSwitcher /> </div> </div>
         {/* Add navigation */}
         <nav className="mt-2">
           <ul className="nav nav-tabs">
@@ -218,30 +448,69 @@ function App() {
                     )
                     :
                     (
-                      <AccountList games={games} />
+                      <>
+                        <AccountList games={games} onDeleteAccount={handleDeleteAccount} />
+                        <DeleteGamesForm games={games} onDeleteGames={handleDeleteGames} loading={loading} />
+                      </>
                     )
                   }
                 </div>
                 <div className="flex-grow-0">
                   <AccountManager 
-                    chessAccounts={chessAccounts}
-                    lichessAccounts={lichessAccounts}
-                    updateChessAccount={updateChessAccount}
-                    updateLichessAccount={updateLichessAccount}
-                    removeChessAccount={removeChessAccount}
-                    removeLichessAccount={removeLichessAccount}
-                    addChessAccount={addChessAccount}
-                    addLichessAccount={addLichessAccount}
+                    sourceAccounts={sourceAccounts}
+                    tokenAccountIds={tokenAccountIds}
+                    updateAccount={updateAccount}
+                    removeAccount={removeAccount}
+                    removeToken={removeToken}
+                    addAccount={addAccount}
                     gamesPerAccount={gamesPerAccount}
                     setGamesPerAccount={setGamesPerAccount}
                     analysisDepth={analysisDepth}
                     setAnalysisDepth={setAnalysisDepth}
+                    positionIndexPly={positionIndexPly}
+                    onPositionIndexPlyChange={handlePositionIndexPlyChange}
                     handleFetchGames={handleFetchGames}
                     handleClearDatabase={handleClearDatabase}
+                    handleImportFile={handleImportFile}
+                    handleCancelFetch={handleCancelFetch}
+                    handleDownloadBackup={handleDownloadBackup}
+                    handleRestoreBackup={handleRestoreBackup}
                     loading={loading}
                     storedGameCount={storedGameCount}
+                    syncMode={syncMode}
+                    setSyncMode={setSyncMode}
+                    importFilters={importFilters}
+                    setImportFilters={setImportFilters}
                     />
                   
+                  {/* Interrupted fetch */}
+                  {interruptedJob && !loading && (
+                    <div className="alert alert-warning" role="status">
+                      A fetch started on {new Date(interruptedJob.createdAt).toLocaleString()} was interrupted
+                      ({interruptedJob.accounts.filter(account => account.status !== 'pending').length} of {interruptedJob.accounts.length} accounts done).
+                      <div className="mt-2">
+                        <button className="btn btn-sm btn-warning me-2" onClick={() => runJob(interruptedJob)}>Resume</button>
+                        <button className="btn btn-sm btn-outline-secondary" onClick={handleDiscardJob}>Discard</button>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Sync summary */}
+                  {syncSummary && (
+                    <div className="alert alert-success" role="status">
+                      {syncSummary.title}
+                      {syncSummary.accounts.length > 0 && (
+                        <ul className="mb-0 mt-1 small">
+                          {syncSummary.accounts.map(({ source, username, count, saved }) => (
+                            <li key={`${source}-${username}`}>
+                              {source} ({username}): {count} fetched, {formatSavedCounts(saved)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
                   {/* Error message */}
                   {error && (
                     <div className="alert alert-danger" role="alert">
@@ -269,4 +538,23 @@ function App() {
   );
 }
 
+// saved: counts, or a saveGames result (failed is then the list of failures)
+function addSavedCounts(total, saved = NO_SAVED_GAMES) {
+  return {
+    inserted: total.inserted + saved.inserted,
+    updated: total.updated + saved.updated,
+    unchanged: total.unchanged + saved.unchanged,
+    failed: total.failed + (Array.isArray(saved.failed) ? saved.failed.length : saved.failed)
+  };
+}
+
+function formatSavedCounts({ inserted, updated, unchanged, failed }) {
+  return [
+    `${inserted} new`,
+    `${updated} updated`,
+    `${unchanged} already stored`,
+    ...(failed > 0 ? [`${failed} failed`] : [])
+  ].join(', ');
+}
+
 export default App;
\ No newline at end of file
@@ -1,24 +1,37 @@
 import React from 'react';
-import ChessAccountForm from './ChessAccountForm';
-import LichessAccountForm from './LichessAccountForm';
+import UsernameAccountForm from './UsernameAccountForm';
+import FileImportForm from './FileImportForm';
+import ImportFiltersForm from './ImportFiltersForm';
+import BackupForm from './BackupForm';
+import { getAccountSources, getFileSources } from '../../services/sources/sourceRegistry';
+
+const POSITION_INDEX_PLIES = [10, 20, 30, 40, 60, 80, 100];
 
 const AccountManager = ({ 
-  chessAccounts, 
-  lichessAccounts,
-  updateChessAccount,
-  updateLichessAccount,
-  removeChessAccount,
-  removeLichessAccount,
-  addChessAccount,
-  addLichessAccount,
+  sourceAccounts,
+  tokenAccountIds,
+  updateAccount,
+  removeAccount,
+  removeToken,
+  addAccount,
   gamesPerAccount,
   setGamesPerAccount,
   analysisDepth,
   setAnalysisDepth,
+  positionIndexPly,
+  onPositionIndexPlyChange,
   handleFetchGames,
   handleClearDatabase,
+  handleImportFile,
+  handleCancelFetch,
+  handleDownloadBackup,
+  handleRestoreBackup,
   loading,
-  storedGameCount
+  storedGameCount,
+  syncMode,
+  setSyncMode,
+  importFilters,
+  setImportFilters
 }) => {
   return (
     <div className="card mb-4">
@@ -26,18 +39,38 @@ const AccountManager = ({
         <h5 className="mb-0">Account Settings</h5>
       </div>
       <div className="card-body">
-        <ChessAccountForm 
-          accounts={chessAccounts}
-          updateAccount={updateChessAccount}
-          removeAccount={removeChessAccount}
-          addAccount={addChessAccount}
+        {/* One form per registered source */}
+        {getAccountSources().map(source => (
+          <UsernameAccountForm
+            key={source.id}
+            source={source}
+            accounts={sourceAccounts[source.id] || [{ username: '', token: '' }]}
+            tokenAccountIds={tokenAccountIds}
+            updateAccount={(index, value) => updateAccount(source.id, index, value)}
+            removeAccount={(index) => removeAccount(source.id, index)}
+            removeToken={(index) => removeToken(source.id, index)}
+            addAccount={() => addAccount(source.id)}
+          />
+        ))}
+
+        <ImportFiltersForm
+          filters={importFilters}
+          setFilters={setImportFilters}
         />
-        
-        <LichessAccountForm 
-          accounts={lichessAccounts}
-          updateAccount={updateLichessAccount}
-          removeAccount={removeLichessAccount}
-          addAccount={addLichessAccount}
+
+        {getFileSources().map(source => (
+          <FileImportForm
+            key={source.id}
+            source={source}
+            onImport={(file, fields) => handleImportFile(source.id, file, fields)}
+            loading={loading}
+          />
+        ))}
+
+        <BackupForm
+          onDownloadBackup={handleDownloadBackup}
+          onRestoreBackup={handleRestoreBackup}
+          loading={loading}
         />
 
         {/* Settings */}
@@ -75,6 +108,35 @@ const AccountManager = ({
           </div>
         </div>
         
+        <div className="form-group mb-3">
+          <label htmlFor="positionIndexPly" className="form-label">Find other move orders up to ply:</label>
+          <select
+            id="positionIndexPly"
+            className="form-select"
+            value={positionIndexPly}
+            onChange={(e) => onPositionIndexPlyChange(Number(e.target.value))}
+            disabled={loading}
+          >
+            {POSITION_INDEX_PLIES.map(ply => (
+              <option key={ply} value={ply}>{ply}</option>
+            ))}
+          </select>
+          <div className="form-text">Changing it re-indexes the positions of every stored game</div>
+        </div>
+        
+        <div className="form-check mb-3">
+          <input
+            type="checkbox"
+            id="syncMode"
+            className="form-check-input"
+            checked={syncMode}
+            onChange={(e) => setSyncMode(e.target.checked)}
+          />
+          <label htmlFor="syncMode" className="form-check-label">
+            Only fetch games newer than the last stored one
+          </label>
+        </div>
+        
         {/* Action buttons */}
         <div className="d-flex gap-2">
           <button 
@@ -82,8 +144,17 @@ const AccountManager = ({
             onClick={handleFetchGames} 
             disabled={loading}
           >
-            {loading ? 'Loading...' : 'Fetch & Store Games'}
+            {loading ? 'Loading...' : syncMode ? 'Sync New Games' : 'Fetch & Store Games'}
           </button>
+
+          {loading && handleCancelFetch && (
+            <button 
+              className="btn btn-outline-secondary"
+              onClick={handleCancelFetch}
+            >
+              Cancel
+            </button>
+          )}
           
           {storedGameCount > 0 && (
             <button 
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+
+// Download a backup of everything stored locally, or restore one
+const BackupForm = ({ onDownloadBackup, onRestoreBackup, loading }) => {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const handleRestore = async () => {
+    await onRestoreBackup(file, mode);
+    setFile(null);
+  };
+
+  return (
+    <div className="mb-4">
+      <h6>Backup</h6>
+      <button className="btn btn-outline-success mb-2" onClick={onDownloadBackup} disabled={loading}>
+        Download backup
+      </button>
+      <input
+        type="file"
+        className="form-control mb-2"
+        accept=".json,application/json"
+        // Reset the input once the selected file has been restored
+        key={file ? 'selected' : 'empty'}
+        onChange={(e) => setFile(e.target.files[0] || null)}
+      />
+      <div className="input-group mb-2">
+        <select className="form-select" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="merge">Merge with local data</option>
+          <option value="replace">Replace local data</option>
+        </select>
+        <button className="btn btn-outline-primary" onClick={handleRestore} disabled={loading || !file}>
+          Restore
+        </button>
+      </div>
+      <div className="form-text">
+        Backups include games, accounts, the variation tree and settings, but not API tokens.
+      </div>
+    </div>
+  );
+};
+
+export default BackupForm;
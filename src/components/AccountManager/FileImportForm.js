@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+
+// Upload form for a file source; its fields (e.g. the player name) come from the adapter
+const FileImportForm = ({ source, onImport, loading }) => {
+  const { title, accept, fields = [] } = source.form;
+  const [file, setFile] = useState(null);
+  const [values, setValues] = useState({});
+
+  const trimmedValues = Object.fromEntries(
+    fields.map(field => [field.name, (values[field.name] || '').trim()])
+  );
+
+  const handleImport = async () => {
+    await onImport(file, trimmedValues);
+    setFile(null);
+  };
+
+  return (
+    <div className="mb-4">
+      <h6>{title}</h6>
+      <input
+        type="file"
+        className="form-control mb-2"
+        accept={accept}
+        // Reset the input once the selected file has been imported
+        key={file ? 'selected' : 'empty'}
+        onChange={(e) => setFile(e.target.files[0] || null)}
+      />
+      <div className="input-group mb-2">
+        {fields.map(field => (
+          <input
+            key={field.name}
+            type="text"
+            className="form-control"
+            value={values[field.name] || ''}
+            onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+            placeholder={field.placeholder}
+          />
+        ))}
+        <button
+          className="btn btn-outline-primary"
+          onClick={handleImport}
+          disabled={loading || !file || Object.values(trimmedValues).some(value => value === '')}
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FileImportForm;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { SPEEDS } from '../../services/utils/gameMetadata';
+
+const ImportFiltersForm = ({ filters, setFilters }) => {
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+  };
+
+  const toggleSpeed = (speed) => {
+    const speeds = filters.speeds.includes(speed)
+      ? filters.speeds.filter(selected => selected !== speed)
+      : [...filters.speeds, speed];
+    updateFilter('speeds', speeds);
+  };
+
+  return (
+    <div className="mb-4">
+      <h6>Import Filters</h6>
+      <div className="row mb-2">
+        <div className="col-md-6">
+          <label htmlFor="filterFromDate" className="form-label">From:</label>
+          <input
+            type="date"
+            id="filterFromDate"
+            className="form-control"
+            value={filters.fromDate}
+            onChange={(e) => updateFilter('fromDate', e.target.value)}
+          />
+        </div>
+        <div className="col-md-6">
+          <label htmlFor="filterToDate" className="form-label">To:</label>
+          <input
+            type="date"
+            id="filterToDate"
+            className="form-control"
+            value={filters.toDate}
+            onChange={(e) => updateFilter('toDate', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="mb-2">
+        {SPEEDS.map(speed => (
+          <div className="form-check form-check-inline" key={speed}>
+            <input
+              type="checkbox"
+              id={`filterSpeed-${speed}`}
+              className="form-check-input"
+              checked={filters.speeds.includes(speed)}
+              onChange={() => toggleSpeed(speed)}
+            />
+            <label htmlFor={`filterSpeed-${speed}`} className="form-check-label text-capitalize">{speed}</label>
+          </div>
+        ))}
+        <div className="form-text">Leave all unchecked to import every time class</div>
+      </div>
+
+      <div className="form-check form-check-inline">
+        <input
+          type="checkbox"
+          id="filterRatedOnly"
+          className="form-check-input"
+          checked={filters.ratedOnly}
+          onChange={(e) => updateFilter('ratedOnly', e.target.checked)}
+        />
+        <label htmlFor="filterRatedOnly" className="form-check-label">Rated only</label>
+      </div>
+      <div className="form-check form-check-inline">
+        <input
+          type="checkbox"
+          id="filterStandardOnly"
+          className="form-check-input"
+          checked={filters.standardOnly}
+          onChange={(e) => updateFilter('standardOnly', e.target.checked)}
+        />
+        <label htmlFor="filterStandardOnly" className="form-check-label">Standard chess only</label>
+      </div>
+    </div>
+  );
+};
+
+export default ImportFiltersForm;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { getAccountId } from '../../services/utils/accounts';
+
+// Account list for a source whose games are fetched by username.
+// Sources declaring a tokenField also get an optional API token input per account. Stored tokens
+// are never shown: tokenAccountIds says which accounts have one, removeToken deletes it.
+const UsernameAccountForm = ({ source, accounts, tokenAccountIds, updateAccount, removeAccount, removeToken, addAccount }) => {
+  const hasStoredToken = (account) =>
+    account.username.trim() !== '' && tokenAccountIds.has(getAccountId(source.id, account.username.trim()));
+
+  return (
+    <div className="mb-4">
+      <h6>{source.label} Accounts</h6>
+      {accounts.map((account, index) => (
+        <div key={`${source.id}-${index}`} className="input-group mb-2">
+          <input
+            type="text"
+            className="form-control"
+            value={account.username}
+            onChange={(e) => updateAccount(index, { username: e.target.value })}
+            placeholder={source.form.placeholder}
+          />
+          {source.form.tokenField && (
+            <input
+              type="password"
+              className="form-control"
+              value={account.token}
+              onChange={(e) => updateAccount(index, { token: e.target.value })}
+              placeholder={hasStoredToken(account) ? 'Token stored, enter a new one to replace it' : source.form.tokenField.placeholder}
+              autoComplete="off"
+            />
+          )}
+          {source.form.tokenField && hasStoredToken(account) && (
+            <button
+              className="btn btn-outline-secondary"
+              onClick={() => removeToken(index)}
+              title="Delete the stored API token"
+            >
+              Remove token
+            </button>
+          )}
+          <button 
+            className="btn btn-outline-danger"
+            onClick={() => removeAccount(index)}
+            disabled={accounts.length === 1 && account.username === '' && account.token === ''}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button className="btn btn-sm btn-outline-primary" onClick={addAccount}>
+        Add {source.label} Account
+      </button>
+    </div>
+  );
+};
+
+export default UsernameAccountForm;
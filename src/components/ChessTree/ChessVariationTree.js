@@ -2,22 +2,28 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Chess } from 'chess.js';
 import { getGames } from '../../services/db/gameStorage';
+import { groupByFingerprint } from '../../services/utils/fingerprint';
 import TreeControls from './TreeControls';
 import ChessboardDisplay from './ChessboardDisplay';
 import MovesPanel from './MovesPanel';
 import RelatedGames from './RelatedGames';
 import { 
-  serializeTree, 
-  deserializeTree, 
-  shouldRebuildTree 
+  shouldRebuildTree,
+  pruneTree,
+  isNodeInTree,
+  isTransposition
 } from '../../services/utils/treeUtils';
+import { buildTreeInWorkers } from '../../services/utils/buildTreeInWorkers';
+import {
+  loadTreeMetadata,
+  loadTreeRoot,
+  loadNodeChildren,
+  pruneSavedTree
+} from '../../services/db/treeStorage';
+import { subscribeToChanges } from '../../services/db/changeFeed';
 
-const TREE_STORAGE_KEY = 'chessVariationTree';
-
-export function clearTreeStorage()
-{
-  localStorage.setItem(TREE_STORAGE_KEY,{})
-}
+// Trees used to be saved in localStorage, which large trees outgrew
+const LEGACY_TREE_STORAGE_KEY = 'chessVariationTree';
 
 const ChessVariationTree = () => {
   const [games, setGames] = useState([]);
@@ -31,9 +37,11 @@ const ChessVariationTree = () => {
   const [path, setPath] = useState([]);
   const [maxDepth, setMaxDepth] = useState(20);
   const [minGames, setMinGames] = useState(15);
+  const [mergeTranspositions, setMergeTranspositions] = useState(false);
   const [processedGames, setProcessedGames] = useState(0);
   const [treeMetadata, setTreeMetadata] = useState(null);
-  const workerRef = useRef(null);
+  const [saveError, setSaveError] = useState(null);
+  const buildControllerRef = useRef(null);
 
   // Load games and tree on component mount
   useEffect(() => {
@@ -43,50 +51,39 @@ const ChessVariationTree = () => {
         const loadedGames = await getGames();
         setGames(loadedGames);
         
-        // Try to load serialized tree from storage
-        const savedData = localStorage.getItem(TREE_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_TREE_STORAGE_KEY);
         
-        if (savedData) {
-          try {
-            console.log('Found saved tree, attempting to load it');
-            const result = deserializeTree(savedData);
-            
-            if (result && result.tree) {
-              // Check if we need to rebuild based on game count or parameters
-              const rebuild = shouldRebuildTree(
-                result.metadata, 
-                loadedGames, 
-                maxDepth, 
-                minGames
-              );
-              
-              if (rebuild) {
-                console.log('Saved tree needs rebuilding due to changes in games or parameters');
-                if (loadedGames.length > 0) {
-                  buildInitialTree(loadedGames);
-                }
-              } else {
-                // Tree is still valid, use it
-                console.log('Using saved tree from storage');
-                setTreeData(result.tree);
-                setTreeMetadata(result.metadata);
-                setSelectedNode(result.tree);
-                setCurrentPosition(result.tree.fen);
-                setPath([{ name: 'Initial Position', node: result.tree }]);
-              }
-            } else {
-              // Invalid tree data
-              console.warn('Invalid tree data in storage');
-              if (loadedGames.length > 0) {
-                buildInitialTree(loadedGames);
-              }
-            }
-          } catch (error) {
-            console.error('Error loading saved tree:', error);
-            // Fallback to building a new tree if loading fails
+        // Try to load the saved tree: only its root is read now, deeper nodes when they are visited
+        const savedMetadata = await loadTreeMetadata();
+        const savedTree = savedMetadata ? await loadTreeRoot().catch(() => null) : null;
+        
+        if (savedTree) {
+          // Keep exploring (and rebuilding) the saved tree the way it was built
+          const savedMerge = Boolean(savedMetadata.mergeTranspositions);
+          setMergeTranspositions(savedMerge);
+          
+          // Check if we need to rebuild based on game count or parameters
+          const rebuild = shouldRebuildTree(
+            savedMetadata, 
+            loadedGames, 
+            maxDepth, 
+            minGames
+          );
+          
+          if (rebuild) {
+            console.log('Saved tree needs rebuilding due to changes in games or parameters');
             if (loadedGames.length > 0) {
-              buildInitialTree(loadedGames);
+              buildInitialTree(loadedGames, savedMerge);
             }
+          } else {
+            // Tree is still valid, use it
+            console.log('Using saved tree from storage');
+            setTreeData(savedTree);
+            setTreeMetadata(savedMetadata);
+            setSelectedNode(savedTree);
+            setCurrentPosition(savedTree.fen);
+            setRelatedGames(savedTree.games);
+            setPath([{ name: 'Initial Position', node: savedTree }]);
           }
         } else if (loadedGames.length > 0) {
           // No saved tree, build a new one
@@ -102,20 +99,41 @@ const ChessVariationTree = () => {
     
     loadGamesAndTree();
     
-    // Clean up worker on unmount
+    // Stop a build still running on unmount. The ref itself is copied: the build it holds
+    // by then starts after this effect.
+    const buildController = buildControllerRef;
     return () => {
-      if (workerRef.current) 
-      {
-        // eslint-disable-next-line
-        workerRef.current.terminate();
-      }
+      buildController.current?.abort();
     };
 
     // eslint-disable-next-line
   }, []); // Empty dependency array ensures this runs once on mount
+
+  // Keep up with writes made here or in another tab: the games feed the next rebuild, and a tree
+  // saved by another tab replaces this one unless a build is running here
+  useEffect(() => subscribeToChanges(['games', 'tree'], async (changes) => {
+    try {
+      if (changes.some(change => change.store === 'games')) {
+        setGames(await getGames());
+      }
+
+      if (buildingInProgress || !changes.some(change => change.store === 'tree' && !change.local)) return;
+      const savedMetadata = await loadTreeMetadata();
+      const savedTree = savedMetadata ? await loadTreeRoot() : null;
+      setTreeMetadata(savedMetadata);
+      setMergeTranspositions(Boolean(savedMetadata?.mergeTranspositions));
+      setTreeData(savedTree);
+      setSelectedNode(savedTree);
+      setCurrentPosition(savedTree ? savedTree.fen : new Chess().fen());
+      setRelatedGames(savedTree ? savedTree.games : []);
+      setPath(savedTree ? [{ name: 'Initial Position', node: savedTree }] : []);
+    } catch (error) {
+      console.error('Error reloading games or tree:', error);
+    }
+  }), [buildingInProgress]);
   
   // Function to build the initial tree
-  const buildInitialTree = (loadedGames) => {
+  const buildInitialTree = (loadedGames, merge = mergeTranspositions) => {
     //should probably move back in useEffect
     setLoading(true);
     
@@ -125,7 +143,8 @@ const ChessVariationTree = () => {
       move: 'Initial Position',
       children: {},
       games: [],
-      frequency: loadedGames.length
+      frequency: loadedGames.length,
+      id: 'root'
     };
     
     setTreeData(initialTree);
@@ -134,7 +153,7 @@ const ChessVariationTree = () => {
     setPath([{ name: 'Initial Position', node: initialTree }]);
     
     // Start building the tree in background
-    startTreeBuilding(loadedGames, initialTree, maxDepth, minGames);
+    startTreeBuilding(loadedGames, initialTree, maxDepth, minGames, merge);
   };
   
   // Handle tree control parameter changes
@@ -143,15 +162,17 @@ const ChessVariationTree = () => {
   }
   
   // Apply new parameters
-  function handleApplyParameters(newMaxDepth, newMinGames) {
+  function handleApplyParameters(newMaxDepth, newMinGames, newMergeTranspositions) {
     setMaxDepth(newMaxDepth);
     setMinGames(newMinGames);
+    setMergeTranspositions(newMergeTranspositions);
     
     // Only rebuild if we have games
     if (games.length > 0) {
       // If the tree is already built, we can prune it directly for min games change
-      if (treeData && newMaxDepth <= maxDepth && newMinGames !== minGames) {
-        const prunedTree = pruneTree(JSON.parse(JSON.stringify(treeData)), newMinGames);
+      if (treeData && newMaxDepth <= maxDepth && newMinGames !== minGames
+          && newMergeTranspositions === mergeTranspositions) {
+        const prunedTree = pruneTree(treeData, newMinGames);
         setTreeData(prunedTree);
         
         // Update metadata
@@ -162,8 +183,10 @@ const ChessVariationTree = () => {
         };
         setTreeMetadata(updatedMetadata);
         
-        // Save the updated tree
-        saveTreeToStorage(prunedTree, updatedMetadata);
+        // The saved tree may hold branches that were never loaded, prune it where it is
+        pruneSavedTree(newMinGames, updatedMetadata).catch(error => {
+          console.error('Error pruning saved tree:', error);
+        });
         
         // If current selection would be pruned, go back to root
         if (!isNodeInTree(selectedNode, prunedTree)) {
@@ -173,137 +196,99 @@ const ChessVariationTree = () => {
           setPath([{ name: 'Initial Position', node: prunedTree }]);
         }
       }
-      // If max depth changed or complete rebuild needed
+      // If max depth or the merging of transpositions changed, or complete rebuild needed
       else {
-        handleRebuild();
+        rebuildTree(newMaxDepth, newMinGames, newMergeTranspositions);
       }
     }
   }
   
-  // Helper function to save tree to storage
-  function saveTreeToStorage(tree, metadata = {}) {
-    const completeMetadata = {
-      ...metadata,
-      gameCount: games.length,
-      maxDepth: maxDepth,
-      minGames: minGames,
+  // Build the tree in workers (see buildTreeInWorkers.js), showing their snapshots while they run
+  async function startTreeBuilding(gamesToProcess, initialTree, depth, minGameCount, merge) {
+    buildControllerRef.current?.abort();
+    const controller = new AbortController();
+    buildControllerRef.current = controller;
+    
+    setBuildingInProgress(true);
+    setProcessedGames(0);
+    setSaveError(null);
+    setWorkingTreeData(initialTree);
+    
+    const newMetadata = {
+      gameCount: gamesToProcess.length,
+      maxDepth: depth,
+      minGames: minGameCount,
+      mergeTranspositions: merge,
       timestamp: Date.now()
     };
     
+    let prunedTree;
     try {
-      const serializedData = serializeTree(tree, completeMetadata);
-      localStorage.setItem(TREE_STORAGE_KEY, serializedData);
-      console.log('Tree saved to storage with metadata:', completeMetadata);
-      return true;
+      prunedTree = await buildTreeInWorkers(gamesToProcess, {
+        maxDepth: depth,
+        minGames: minGameCount,
+        mergeTranspositions: merge,
+        signal: controller.signal,
+        saveMetadata: newMetadata,
+        onSaveError: setSaveError,
+        onProgress: setProcessedGames,
+        onSnapshot: (snapshot) => {
+          setWorkingTreeData(snapshot);
+          
+          // Update current selection if we're viewing the tree being built
+          if (selectedNode) {
+            // Try to find the corresponding node in the updated tree
+            const currentPath = findPathInTree(snapshot, selectedNode.fen);
+            if (currentPath.length > 0) {
+              const updatedNode = currentPath[currentPath.length - 1].node;
+              setSelectedNode(updatedNode);
+              setRelatedGames(updatedNode.games || []);
+            }
+          }
+        }
+      });
     } catch (error) {
-      console.error('Error saving tree to storage:', error);
-      return false;
+      console.error('Error building tree:', error);
     }
-  }
-  
-  // Check if a node exists in the tree
-  function isNodeInTree(node, tree) {
-    if (!node || !tree) return false;
-    if (node === tree) return true;
     
-    // Check all children
-    for (const key in tree.children) {
-      if (isNodeInTree(node, tree.children[key])) {
-        return true;
-      }
+    if (buildControllerRef.current === controller) {
+      buildControllerRef.current = null;
     }
+    setWorkingTreeData(null);
+    setBuildingInProgress(false);
+    // Cancelled or failed: the tree shown before stays
+    if (!prunedTree) return;
     
-    return false;
-  }
-  
-  // Start building the tree in the background with chunked processing
-  function startTreeBuilding(gamesToProcess, initialTree, depth, minGameCount) {
-    setBuildingInProgress(true);
-    setProcessedGames(0);
+    setTreeData(prunedTree);
+    setTreeMetadata(newMetadata);
     
-    // Only make a deep copy here at the beginning, not for every update
-    setWorkingTreeData({...initialTree});
-    
-    // Process games in chunks to allow UI updates
-    const chunkSize = 10;
-    let processedTreeCopy = {...initialTree};
-    let processed = 0;
-    
-    const processChunk = (startIdx) => {
-      const endIdx = Math.min(startIdx + chunkSize, gamesToProcess.length);
-      const gamesChunk = gamesToProcess.slice(startIdx, endIdx);
-      
-      // Process this chunk
-      processedTreeCopy = incrementalBuildTree(processedTreeCopy, gamesChunk, depth);
-      processed += gamesChunk.length;
-      setProcessedGames(processed);
-      
-      // Update the working tree data periodically to show progress
-      if (processed % 50 === 0 || endIdx >= gamesToProcess.length) {
-        // Use a shallow copy for the top level and only copy modified nodes
-        setWorkingTreeData({...processedTreeCopy});
-        
-        // Update current selection if we're viewing the tree being built
-        if (selectedNode) {
-          // Try to find the corresponding node in the updated tree
-          const currentPath = findPathInTree(processedTreeCopy, selectedNode.fen);
-          if (currentPath.length > 0) {
-            const updatedNode = currentPath[currentPath.length - 1].node;
-            setSelectedNode(updatedNode);
-            setRelatedGames(updatedNode.games || []);
-          }
-        }
-      }
-      
-      // If there are more games to process, schedule next chunk
-      if (endIdx < gamesToProcess.length) {
-        setTimeout(() => processChunk(endIdx), 5);
+    // Find and select the equivalent node in the pruned tree
+    if (selectedNode) {
+      const finalPath = findPathInTree(prunedTree, selectedNode.fen);
+      if (finalPath.length > 0) {
+        const finalNode = finalPath[finalPath.length - 1].node;
+        setSelectedNode(finalNode);
+        setCurrentPosition(finalNode.fen);
+        setRelatedGames(finalNode.games || []);
+        setPath(finalPath);
       } else {
-        // Finalize tree
-        const prunedTree = pruneTree({...processedTreeCopy}, minGameCount);
-        setTreeData(prunedTree);
-        setWorkingTreeData(null);
-        
-        // Create metadata and save tree
-        const newMetadata = {
-          gameCount: gamesToProcess.length,
-          maxDepth: depth,
-          minGames: minGameCount,
-          timestamp: Date.now()
-        };
-        setTreeMetadata(newMetadata);
-        saveTreeToStorage(prunedTree, newMetadata);
-        
-        // Find and select the equivalent node in the pruned tree
-        if (selectedNode) {
-          const finalPath = findPathInTree(prunedTree, selectedNode.fen);
-          if (finalPath.length > 0) {
-            const finalNode = finalPath[finalPath.length - 1].node;
-            setSelectedNode(finalNode);
-            setCurrentPosition(finalNode.fen);
-            setRelatedGames(finalNode.games || []);
-            setPath(finalPath);
-          } else {
-            // Fallback to root if node was pruned
-            setSelectedNode(prunedTree);
-            setCurrentPosition(prunedTree.fen);
-            setRelatedGames(prunedTree.games || []);
-            setPath([{ name: 'Initial Position', node: prunedTree }]);
-          }
-        } else {
-          // Select the root node if nothing is selected
-          setSelectedNode(prunedTree);
-          setCurrentPosition(prunedTree.fen);
-          setRelatedGames(prunedTree.games || []);
-          setPath([{ name: 'Initial Position', node: prunedTree }]);
-        }
-        
-        setBuildingInProgress(false);
+        // Fallback to root if node was pruned
+        setSelectedNode(prunedTree);
+        setCurrentPosition(prunedTree.fen);
+        setRelatedGames(prunedTree.games || []);
+        setPath([{ name: 'Initial Position', node: prunedTree }]);
       }
-    };
-    
-    // Start processing
-    processChunk(0);
+    } else {
+      // Select the root node if nothing is selected
+      setSelectedNode(prunedTree);
+      setCurrentPosition(prunedTree.fen);
+      setRelatedGames(prunedTree.games || []);
+      setPath([{ name: 'Initial Position', node: prunedTree }]);
+    }
+  }
+  
+  function handleCancelBuild() {
+    buildControllerRef.current?.abort();
   }
   
   // Find a node's path in the tree by FEN position
@@ -331,6 +316,11 @@ const ChessVariationTree = () => {
   
   // Handle rebuild button click
   function handleRebuild() {
+    rebuildTree(maxDepth, minGames, mergeTranspositions);
+  }
+  
+  // Parameters are passed in rather than read from state, which isn't updated yet right after Apply
+  function rebuildTree(depth, minGameCount, merge) {
     if (games.length > 0) {
       // Create a placeholder tree with the root node
       const initialTree = {
@@ -338,19 +328,30 @@ const ChessVariationTree = () => {
         move: 'Initial Position',
         children: {},
         games: [],
-        frequency: games.length
+        // Copies of the same game stored for two tracked accounts count once
+        frequency: groupByFingerprint(games).size,
+        id: 'root'
       };
       
       // Start building in background
-      startTreeBuilding(games, initialTree, maxDepth, minGames);
+      startTreeBuilding(games, initialTree, depth, minGameCount, merge);
     }
   }
   
   // Handle move selection
-  function handleMoveSelect(moveKey) {
+  async function handleMoveSelect(moveKey) {
     if (selectedNode && selectedNode.children[moveKey]) {
       const newNode = selectedNode.children[moveKey];
-      const newPath = [...path, { name: newNode.move, node: newNode }];
+      try {
+        // Nodes of a saved tree read their games and moves on first visit
+        await loadNodeChildren(newNode);
+      } catch (error) {
+        console.error('Error loading tree node:', error);
+        return;
+      }
+      // A merged node's own move is that of its first move order, the edge has the one played here
+      const moveName = selectedNode.edges?.[moveKey]?.move || newNode.move;
+      const newPath = [...path, { name: moveName, node: newNode }];
       setSelectedNode(newNode);
       setCurrentPosition(newNode.fen);
       setRelatedGames(newNode.games || []);
@@ -411,6 +412,11 @@ const ChessVariationTree = () => {
           )}
         </div>
         <div className="card-body">
+          {saveError && (
+            <div className="alert alert-warning py-2 small">
+              The tree was built but could not be saved, so it will be built again next time. {saveError}
+            </div>
+          )}
           {loading ? (
             <div className="d-flex justify-content-center">
               <div className="spinner-border text-primary" role="status">
@@ -425,6 +431,8 @@ const ChessVariationTree = () => {
                 onChange={handleControlsChange}
                 onApply={handleApplyParameters}
                 onRebuild={handleRebuild}
+                onCancel={handleCancelBuild}
+                mergeTranspositions={mergeTranspositions}
                 buildingInProgress={buildingInProgress}
                 processedGames={processedGames}
                 totalGames={games.length}
@@ -436,6 +444,7 @@ const ChessVariationTree = () => {
                     path={path}
                     onPathNodeClick={navigateToPathNode}
                     gamesCount={selectedNode ? selectedNode.frequency : 0}
+                    moveOrderCount={isTransposition(selectedNode) ? selectedNode.parents.length : 0}
                     onUndo={handleUndo}
                   />
                   <MovesPanel
@@ -447,6 +456,7 @@ const ChessVariationTree = () => {
                 <div className="col-md-6">
                   <RelatedGames 
                     games={relatedGames} 
+                    position={currentPosition}
                     buildingInProgress={buildingInProgress}
                     processedGames={processedGames}
                     totalGames={games.length}
@@ -465,121 +475,4 @@ const ChessVariationTree = () => {
   );
 };
 
-// The rest of your functions remain unchanged
-function incrementalBuildTree(existingTree, gamesChunk, maxDepth) {
-  // Create a shallow copy of the tree to avoid mutating the original
-  const tree = {...existingTree};
-  
-  // Process each game to build the tree
-  gamesChunk.forEach(game => {
-    if (!game.pgn) return;
-    
-    try {
-      const chess = new Chess();
-      chess.loadPgn(game.pgn);
-      const moves = chess.history({ verbose: true });
-      
-      // Reset for each game
-      const currentChess = new Chess();
-      let currentNode = tree;
-      
-      // Add the current game to the root's games if not already present
-      if (!tree.games) {
-        tree.games = [];
-      }
-      
-      if (!tree.games.some(g => g.id === game.id)) {
-        tree.games.push({
-          id: game.id,
-          white: game.white,
-          black: game.black,
-          result: game.result,
-          date: game.date,
-          url: game.url,
-          whiteElo: game.whiteElo,
-          blackElo: game.blackElo
-        });
-      }
-      
-      // Process each move up to maxDepth
-      for (let i = 0; i < moves.length && i < maxDepth; i++) {
-        const move = moves[i];
-        // Create a unique move key
-        const moveKey = `${move.from}${move.to}${move.promotion || ''}`;
-        
-        // Make the move
-        currentChess.move({ from: move.from, to: move.to, promotion: move.promotion });
-        const fen = currentChess.fen();
-        
-        // If this move hasn't been seen yet at this position, create a new node
-        if (!currentNode.children) {
-          currentNode.children = {};
-        }
-        
-        if (!currentNode.children[moveKey]) {
-          currentNode.children[moveKey] = {
-            fen: fen,
-            move: move.san,
-            moveObj: move,
-            children: {},
-            games: [],
-            frequency: 0
-          };
-        }
-        
-        // Move to the next node
-        currentNode = currentNode.children[moveKey];
-        
-        // Increment frequency and add the game to this node if not already present
-        currentNode.frequency = (currentNode.frequency || 0) + 1;
-        if (!currentNode.games) {
-          currentNode.games = [];
-        }
-        
-        if (!currentNode.games.some(g => g.id === game.id)) {
-          currentNode.games.push({
-            id: game.id,
-            white: game.white,
-            black: game.black,
-            result: game.result,
-            date: game.date,
-            url: game.url,
-            whiteElo: game.whiteElo,
-            blackElo: game.blackElo
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error processing game PGN:', error, game.id);
-    }
-  });
-  
-  return tree;
-}
-
-// Function to prune the tree based on minimum games criterion - optimize for better performance
-function pruneTree(node, minGames) {
-  if (!node) return node;
-  
-  // Create a shallow copy of the node
-  const prunedNode = {...node};
-  
-  if (prunedNode.children) {
-    // Create a shallow copy of the children object
-    prunedNode.children = {...prunedNode.children};
-    
-    Object.keys(prunedNode.children).forEach(key => {
-      const child = prunedNode.children[key];
-      
-      if (child.frequency < minGames) {
-        delete prunedNode.children[key];
-      } else {
-        prunedNode.children[key] = pruneTree(child, minGames);
-      }
-    });
-  }
-  
-  return prunedNode;
-}
-
 export default ChessVariationTree;
\ No newline at end of file
@@ -2,7 +2,8 @@
 import React from 'react';
 import { Chessboard } from 'react-chessboard';
 
-const ChessboardDisplay = ({ position, path, onPathNodeClick, gamesCount, onUndo }) => {
+// moveOrderCount is set when the position is reached by transposition (more than one move order)
+const ChessboardDisplay = ({ position, path, onPathNodeClick, gamesCount, moveOrderCount, onUndo }) => {
   const renderPath = () => {
     return (
       <nav aria-label="breadcrumb">
@@ -48,6 +49,11 @@ const ChessboardDisplay = ({ position, path, onPathNodeClick, gamesCount, onUndo
           {gamesCount} games with this position
         </span>
       )}
+      {moveOrderCount > 1 && (
+        <span className="badge bg-info text-dark ms-1">
+          Transposition: reached by {moveOrderCount} move orders
+        </span>
+      )}
     </div>
   );
 };
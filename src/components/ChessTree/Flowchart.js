@@ -1,6 +1,8 @@
 import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import { Chess } from 'chess.js';
-import { deserializeTree } from '../../services/utils/treeUtils';
+import { loadTree } from '../../services/db/treeStorage';
+import { isTransposition } from '../../services/utils/treeUtils';
+import { subscribeToChanges } from '../../services/db/changeFeed';
 import _ from 'lodash';
 
 const Flowchart = () => {
@@ -25,21 +27,17 @@ const Flowchart = () => {
   //const [visibleNodeCount, setVisibleNodeCount] = useState(0);
   const [canvasDimensions, setCanvasDimensions] = useState({ width: 0, height: 0 });
   const [imagesLoaded, setImagesLoaded] = useState(false);
+  const [treeData, setTreeData] = useState(null);
 
-  // Load tree data from localStorage
-  const treeData = useMemo(() => {
-    const data = deserializeTree(localStorage.getItem('chessVariationTree')).tree;
-    // Count total nodes in the tree
-    //let count = 0;
-    const countNodes = (node) => {
-      //count++;
-      if (node.children) {
-        Object.values(node.children).forEach(countNodes);
-      }
-    };
-    countNodes(data);
-    //setNodeCount(count);
-    return data;
+  // Load the tree saved by the variation tree explorer, again whenever it is saved, pruned
+  // or cleared, here or in another tab
+  useEffect(() => {
+    const reloadTree = () => loadTree()
+      .then(setTreeData)
+      .catch(error => console.error('Error loading tree:', error));
+
+    reloadTree();
+    return subscribeToChanges(['tree'], reloadTree);
   }, []);
 
   // Get background color based on frequency - memoize this simple function
@@ -80,15 +78,17 @@ const Flowchart = () => {
     // Node lookup for efficient parent reference
     const nodeById = {};
     
-    // Recursive function to position nodes
-    const processNode = (node, x, y, level = 0, parentFen = null) => {
+    // Recursive function to position nodes. move is the move played from the parent, which for
+    // a position reached by transposition can differ from the node's own (first) move.
+    const processNode = (node, x, y, level = 0, parentFen = null, move = node.move) => {
       // Create node data
       const nodeData = {
         id: node.fen,
         x,
         y,
         fen: node.fen,
-        move: node.move,
+        move,
+        transposition: isTransposition(node),
         frequency: node.frequency || 0,
         expanded: expandedNodes.has(node.fen),
         hasChildren: node.children && Object.keys(node.children).length > 0
@@ -136,7 +136,8 @@ const Flowchart = () => {
             const childX = startX + childWidth / 2;
             const childY = y + boardSize * 1.3;
             
-            processNode(node.children[childId], childX, childY, level + 1, node.fen);
+            const childMove = node.edges?.[childId]?.move || node.children[childId].move;
+            processNode(node.children[childId], childX, childY, level + 1, node.fen, childMove);
             
             // Move right for next child
             startX += childWidth;
@@ -146,7 +147,9 @@ const Flowchart = () => {
     };
     
     // Start processing from root at center
-    processNode(treeData, 0, 0);
+    if (treeData) {
+      processNode(treeData, 0, 0);
+    }
 
     return { processedNodes: nodes, processedLinks: links };
   }, [treeData, expandedNodes, boardSize]);
@@ -364,12 +367,15 @@ const Flowchart = () => {
       : isDarkMode() ? '#6e6e6e' : '#ccc';
 
       offCtx.lineWidth = node.id === hoveredNode?.id ? 3 : 1;
+      // Positions also reached by other move orders get a dashed border
+      offCtx.setLineDash(node.transposition ? [6, 4] : []);
       offCtx.strokeRect(
         node.x - boardSize / 2,
         node.y - boardSize / 2,
         boardSize,
         boardSize
       );
+      offCtx.setLineDash([]);
       
       // Draw chessboard
       drawChessboard(
@@ -403,7 +409,7 @@ const Flowchart = () => {
       offCtx.textAlign = 'center';
       offCtx.textBaseline = 'top';
       offCtx.fillText(
-        node.move || '',
+        node.transposition ? `⇄ ${node.move || ''}` : node.move || '',
         node.x,
         node.y + boardSize / 2 + 5
       );
@@ -1,10 +1,20 @@
 // MovesPanel.js - Available moves display
 import React from 'react';
+import { isTransposition } from '../../services/utils/treeUtils';
 
+// In a merged graph a move's count is how often it was played from this position (its edge),
+// while the position it leads to may also be reached by other move orders
 const MovesPanel = ({ selectedNode, onMoveSelect, buildingInProgress }) => {
   if (!selectedNode) return null;
   
-  const moves = Object.values(selectedNode.children)
+  const edges = selectedNode.edges || {};
+  const moves = Object.entries(selectedNode.children)
+    .map(([moveKey, node]) => ({
+      moveKey,
+      node,
+      move: edges[moveKey] ? edges[moveKey].move : node.move,
+      frequency: edges[moveKey] ? edges[moveKey].frequency : node.frequency
+    }))
     .sort((a, b) => b.frequency - a.frequency);
   
   if (moves.length === 0) {
@@ -14,22 +24,26 @@ const MovesPanel = ({ selectedNode, onMoveSelect, buildingInProgress }) => {
   return (
     <div className="mt-3">   
       <div className="list-group">
-        {moves.map((move, index) => {
-          const moveKey = Object.keys(selectedNode.children).find(key => 
-            selectedNode.children[key] === move
-          );
-          
-          return (
-            <button 
-              key={index} 
-              className="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
-              onClick={() => onMoveSelect(moveKey)}
-            >
-              <span>{move.move}</span>
-              <span className="badge bg-primary rounded-pill">{move.frequency} games</span>
-            </button>
-          );
-        })}
+        {moves.map(({ moveKey, node, move, frequency }) => (
+          <button 
+            key={moveKey} 
+            className="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+            onClick={() => onMoveSelect(moveKey)}
+          >
+            <span>
+              {move}
+              {isTransposition(node) && (
+                <span
+                  className="badge bg-info text-dark ms-2"
+                  title={`Reached by ${node.parents.length} move orders, ${node.frequency} games in total`}
+                >
+                  transposition
+                </span>
+              )}
+            </span>
+            <span className="badge bg-primary rounded-pill">{frequency} games</span>
+          </button>
+        ))}
       </div>
     </div>
   );
@@ -1,55 +1,66 @@
 // RelatedGames.js - Display of games for current position with Elo ratings
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { queryGames, countGames } from '../../services/db/gameQuery';
+import { summarizeGames } from '../../services/utils/treeUtils';
 
-const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames }) => {
-  const [sortedGames, setSortedGames] = useState([]);
-  const [sortBy, setSortBy] = useState('date');
+const PAGE_SIZE = 10;
+
+// games are the summaries on the selected tree node: the rows are read from the database
+// by their fingerprints, or by position to include the games of other move orders. Positions
+// are only indexed up to a ply (see positions.js), deeper ones fall back to the node's games.
+const RelatedGames = ({ games, position, buildingInProgress, processedGames, totalGames }) => {
+  const [sortBy, setSortBy] = useState('endTime');
   const [sortDirection, setSortDirection] = useState('desc');
+  const [includeTranspositions, setIncludeTranspositions] = useState(false);
+  const [records, setRecords] = useState([]);
+  // The query the rows were read with, the position one or the node's games
+  const [shownQuery, setShownQuery] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  
+  const positionQuery = useMemo(() => (
+    includeTranspositions && position ? { position, sortBy, sortDirection, byGame: true } : null
+  ), [includeTranspositions, position, sortBy, sortDirection]);
+  const nodeQuery = useMemo(() => (
+    { fingerprint: (games || []).map(game => game.fingerprint), sortBy, sortDirection, byGame: true }
+  ), [games, sortBy, sortDirection]);
   
   useEffect(() => {
-    if (!games || games.length === 0) {
-      setSortedGames([]);
-      return;
-    }
-    
-    // Create a copy to sort
-    const gamesCopy = [...games];
+    let cancelled = false;
     
-    // Sort games based on current criteria
-    gamesCopy.sort((a, b) => {
-      let valueA, valueB;
-      
-      switch (sortBy) {
-        case 'date':
-          valueA = new Date(a.date || '1900-01-01');
-          valueB = new Date(b.date || '1900-01-01');
-          break;
-        case 'whiteElo':
-          valueA = parseInt(a.whiteElo) || 0;
-          valueB = parseInt(b.whiteElo) || 0;
-          break;
-        case 'blackElo':
-          valueA = parseInt(a.blackElo) || 0;
-          valueB = parseInt(b.blackElo) || 0;
-          break;
-        case 'avgElo':
-          valueA = (parseInt(a.whiteElo) || 0 + parseInt(a.blackElo) || 0) / 2;
-          valueB = (parseInt(b.whiteElo) || 0 + parseInt(b.blackElo) || 0) / 2;
-          break;
-        default:
-          valueA = a[sortBy];
-          valueB = b[sortBy];
+    async function loadGames() {
+      let query = positionQuery || nodeQuery;
+      let count = await countGames(query);
+      if (count === 0 && query !== nodeQuery) {
+        query = nodeQuery;
+        count = await countGames(query);
       }
-      
-      if (sortDirection === 'asc') {
-        return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
-      } else {
-        return valueA > valueB ? -1 : valueA < valueB ? 1 : 0;
-      }
-    });
+      const page = await queryGames({ ...query, limit: PAGE_SIZE });
+      if (cancelled) return;
+      setShownQuery(query);
+      setRecords(page.games);
+      setNextCursor(page.nextCursor);
+      setTotal(count);
+    }
     
-    setSortedGames(gamesCopy);
-  }, [games, sortBy, sortDirection]);
+    loadGames().catch(error => console.error('Error loading games for this position:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [positionQuery, nodeQuery]);
+  
+  const handleShowMore = async () => {
+    try {
+      const page = await queryGames({ ...shownQuery, limit: PAGE_SIZE, cursor: nextCursor });
+      setRecords([...records, ...page.games]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more games for this position:', error);
+    }
+  };
+  
+  // Both stored copies of a game between two tracked accounts on one row
+  const sortedGames = useMemo(() => summarizeGames(records), [records]);
   
   const handleSort = (column) => {
     if (sortBy === column) {
@@ -80,11 +91,27 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
     );
   };
   
-  if (!games || games.length === 0) {
+  const renderTranspositionToggle = () => (
+    <div className="form-check form-switch mb-0 small">
+      <input
+        type="checkbox"
+        id="includeTranspositions"
+        className="form-check-input"
+        checked={includeTranspositions}
+        onChange={(e) => setIncludeTranspositions(e.target.checked)}
+      />
+      <label htmlFor="includeTranspositions" className="form-check-label">
+        Other move orders
+      </label>
+    </div>
+  );
+  
+  if (total === 0) {
     return (
       <div className="card">
-        <div className="card-header">
+        <div className="card-header d-flex justify-content-between align-items-center">
           <h6 className="mb-0">Games with this Position</h6>
+          {renderTranspositionToggle()}
         </div>
         <div className="card-body">
           {renderProgressInfo()}
@@ -100,8 +127,9 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
   
   return (
     <div className="card">
-      <div className="card-header">
+      <div className="card-header d-flex justify-content-between align-items-center">
         <h6 className="mb-0">Games with this Position</h6>
+        {renderTranspositionToggle()}
       </div>
       <div className="card-body p-0">
         {renderProgressInfo()}
@@ -109,8 +137,8 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
           <table className="table table-striped table-hover table-sm">
             <thead>
               <tr>
-                <th style={{ cursor: 'pointer' }} onClick={() => handleSort('date')}>
-                  Date {sortBy === 'date' ? (sortDirection === 'asc' ? '↑' : '↓') : ''}
+                <th style={{ cursor: 'pointer' }} onClick={() => handleSort('endTime')}>
+                  Date {sortBy === 'endTime' ? (sortDirection === 'asc' ? '↑' : '↓') : ''}
                 </th>
                 <th>White</th>
                 <th style={{ cursor: 'pointer' }} onClick={() => handleSort('whiteElo')}>
@@ -128,7 +156,7 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
               </tr>
             </thead>
             <tbody>
-              {sortedGames.slice(0, 10).map((game, index) => {
+              {sortedGames.map((game, index) => {
                 const whiteElo = game.whiteElo || '?';
                 const blackElo = game.blackElo || '?';
                 const avgElo = (whiteElo !== '?' && blackElo !== '?') 
@@ -142,7 +170,11 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
                     <td>{whiteElo}</td>
                     <td>{game.black}</td>
                     <td>{blackElo}</td>
-                    <td>{game.result}</td>
+                    <td>
+                      {game.perspectives?.length > 1
+                        ? game.perspectives.map(perspective => `${perspective.account}: ${perspective.result}`).join(', ')
+                        : game.result}
+                    </td>
                     <td>{avgElo}</td>
                     <td>
                       <a 
@@ -159,10 +191,15 @@ const RelatedGames = ({ games, buildingInProgress, processedGames, totalGames })
               })}
             </tbody>
           </table>
-          {sortedGames.length > 10 && (
-            <div className="text-muted small p-2">
-              Showing 10 of {sortedGames.length} games for this position.
-              {buildingInProgress && " More games may be found as processing continues."}
+          {nextCursor && (
+            <div className="d-flex justify-content-between align-items-center text-muted small p-2">
+              <span>
+                Showing {sortedGames.length} of {total} games for this position.
+                {buildingInProgress && " More games may be found as processing continues."}
+              </span>
+              <button className="btn btn-sm btn-outline-primary" onClick={handleShowMore}>
+                Show more
+              </button>
             </div>
           )}
         </div>
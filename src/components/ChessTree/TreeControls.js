@@ -6,13 +6,16 @@ const TreeControls = ({
   maxDepth, 
   minGames, 
   onRebuild, 
+  onCancel,
   onApply,  // Add this new prop
+  mergeTranspositions,
   buildingInProgress, 
   processedGames, 
   totalGames 
 }) => {
   const [tempMaxDepth, setTempMaxDepth] = useState(maxDepth);
   const [tempMinGames, setTempMinGames] = useState(minGames);
+  const [tempMergeTranspositions, setTempMergeTranspositions] = useState(mergeTranspositions);
   
   const handleMaxDepthChange = (e) => {
     const value = Math.max(1, parseInt(e.target.value) || 1);
@@ -25,14 +28,15 @@ const TreeControls = ({
   };
   
   const handleApply = () => {
-    onApply(tempMaxDepth, tempMinGames);
+    onApply(tempMaxDepth, tempMinGames, tempMergeTranspositions);
   };
   
   // Reset temp values when props change
   useEffect(() => {
     setTempMaxDepth(maxDepth);
     setTempMinGames(minGames);
-  }, [maxDepth, minGames]);
+    setTempMergeTranspositions(mergeTranspositions);
+  }, [maxDepth, minGames, mergeTranspositions]);
   
   //const progressPercentage = totalGames ? Math.round((processedGames / totalGames) * 100) : 0;
   
@@ -83,6 +87,25 @@ const TreeControls = ({
               </>
             ) : "Rebuild"}
           </button>
+          {buildingInProgress && (
+            <button className="btn btn-outline-danger" onClick={onCancel}>
+              Cancel
+            </button>
+          )}
+        </div>
+        {/* One node per position whatever the move order; applied by rebuilding the tree */}
+        <div className="form-check form-switch ms-3 mb-0">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="mergeTranspositions"
+            checked={tempMergeTranspositions}
+            onChange={(e) => setTempMergeTranspositions(e.target.checked)}
+            disabled={buildingInProgress}
+          />
+          <label className="form-check-label small text-nowrap" htmlFor="mergeTranspositions">
+            Merge transpositions
+          </label>
         </div>
       </div>
       
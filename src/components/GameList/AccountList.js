@@ -1,29 +1,33 @@
 //search for all accounts in the database, display number of games, last game date and most old game date
 import React from 'react';
+import { getAccountId } from '../../services/utils/accounts';
+import { getSourceLabel } from '../../services/sources/sourceRegistry';
 
-const AccountList = ({ games }) => {
+const AccountList = ({ games, onDeleteAccount }) => {
     if (games.length === 0) return null;
 
-    let accounts = new Set();
+    // Accounts are keyed by (source, username) so same-named accounts on different sites stay separate
+    let accounts = new Map();
     let gameCount = {};
     let lastGameDate = {};
     let firstGameDate = {};
-    
-    for (const game of games) 
+
+    for (const game of games)
     {
-        accounts.add(game.account);
-        gameCount[game.account] = (gameCount[game.account] || 0) + 1;
-        
-        if (!lastGameDate[game.account] || new Date(game.date) > new Date(lastGameDate[game.account])) {
-            lastGameDate[game.account] = game.date;
+        const accountId = game.accountId || getAccountId(game.source, game.account);
+        if (!accounts.has(accountId)) {
+            accounts.set(accountId, { source: game.source, username: game.account });
         }
+        gameCount[accountId] = (gameCount[accountId] || 0) + 1;
 
-        if (!firstGameDate[game.account] || new Date(game.date) < new Date(firstGameDate[game.account])) {
-            firstGameDate[game.account] = game.date;
+        if (!lastGameDate[accountId] || new Date(game.date) > new Date(lastGameDate[accountId])) {
+            lastGameDate[accountId] = game.date;
         }
-    }
 
-    //TODO fixbug if chess.com and lichess account have the same name
+        if (!firstGameDate[accountId] || new Date(game.date) < new Date(firstGameDate[accountId])) {
+            firstGameDate[accountId] = game.date;
+        }
+    }
 
     return (
             <div className="card-body">
@@ -31,12 +35,19 @@ const AccountList = ({ games }) => {
                 <div className="border-top mt-2 pt-2">
 
                 {
-                    [...accounts].map(account => (
-                        <div className="border-bottom rounded p-2" key={account}>
-                            <p><b> Username: </b> {account} </p>
-                            <p><b> Number of games: </b> {gameCount[account]} </p>
-                            <p><b> Last game date: </b> {lastGameDate[account]} </p>
-                            <p><b> First game date: </b> {firstGameDate[account]} </p>
+                    [...accounts].map(([accountId, account]) => (
+                        <div className="border-bottom rounded p-2" key={accountId}>
+                            <div className="d-flex justify-content-between align-items-start">
+                                <p><b> Username: </b> {account.username} <span className="badge bg-secondary">{getSourceLabel(account.source)}</span></p>
+                                {onDeleteAccount && (
+                                    <button className="btn btn-sm btn-outline-danger" onClick={() => onDeleteAccount(accountId)}>
+                                        Delete
+                                    </button>
+                                )}
+                            </div>
+                            <p><b> Number of games: </b> {gameCount[accountId]} </p>
+                            <p><b> Last game date: </b> {lastGameDate[accountId]} </p>
+                            <p><b> First game date: </b> {firstGameDate[accountId]} </p>
                         </div>
                     ))
                 }
@@ -47,4 +58,4 @@ const AccountList = ({ games }) => {
 
 };
 
-export default AccountList;
\ No newline at end of file
+export default AccountList;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { countGames } from '../../services/db/gameQuery';
+import { getSources } from '../../services/sources/sourceRegistry';
+import { getSourceLabel } from '../../services/sources/sourceRegistry';
+import { toISODate } from '../../services/utils/gameMetadata';
+
+const DAY = 24 * 60 * 60 * 1000;
+const EMPTY_CRITERIA = { accountId: '', source: '', before: '' };
+
+// Targeted deletion: one account, one source and/or games played before a date,
+// with a count of the games that would be removed
+const DeleteGamesForm = ({ games, onDeleteGames, loading }) => {
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
+  const [matchingCount, setMatchingCount] = useState(null);
+
+  const accounts = useMemo(() => {
+    const accountsById = new Map();
+    games.forEach(game => {
+      if (!accountsById.has(game.accountId)) {
+        accountsById.set(game.accountId, { id: game.accountId, source: game.source, username: game.account });
+      }
+    });
+    return [...accountsById.values()];
+  }, [games]);
+
+  // "Before" is exclusive, game queries take an inclusive end date
+  const query = useMemo(() => ({
+    accountId: criteria.accountId,
+    source: criteria.source,
+    dateTo: criteria.before ? toISODate(Date.parse(`${criteria.before}T00:00:00Z`) - DAY) : ''
+  }), [criteria]);
+  const hasCriteria = Object.values(criteria).some(Boolean);
+
+  // Recounted after every change to the stored games too
+  useEffect(() => {
+    if (!hasCriteria) {
+      setMatchingCount(null);
+      return;
+    }
+
+    let cancelled = false;
+    countGames(query)
+      .then(count => {
+        if (!cancelled) setMatchingCount(count);
+      })
+      .catch(error => console.error('Error counting games to delete:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [query, hasCriteria, games]);
+
+  const updateCriteria = (key, value) => {
+    setCriteria({ ...criteria, [key]: value });
+  };
+
+  const handleDelete = async () => {
+    if (await onDeleteGames(query, matchingCount)) {
+      setCriteria(EMPTY_CRITERIA);
+    }
+  };
+
+  return (
+    <div className="border-top p-3">
+      <h6>Delete games</h6>
+      <div className="row g-2 align-items-end">
+        <div className="col-md-4">
+          <label htmlFor="deleteAccount" className="form-label small">Account</label>
+          <select
+            id="deleteAccount"
+            className="form-select form-select-sm"
+            value={criteria.accountId}
+            onChange={(e) => updateCriteria('accountId', e.target.value)}
+          >
+            <option value="">Any account</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>
+                {account.username} ({getSourceLabel(account.source)})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <label htmlFor="deleteSource" className="form-label small">Source</label>
+          <select
+            id="deleteSource"
+            className="form-select form-select-sm"
+            value={criteria.source}
+            onChange={(e) => updateCriteria('source', e.target.value)}
+          >
+            <option value="">Any source</option>
+            {getSources().map(source => (
+              <option key={source.id} value={source.id}>{source.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <label htmlFor="deleteBefore" className="form-label small">Played before</label>
+          <input
+            type="date"
+            id="deleteBefore"
+            className="form-control form-control-sm"
+            value={criteria.before}
+            onChange={(e) => updateCriteria('before', e.target.value)}
+          />
+        </div>
+        <div className="col-md-2">
+          <button
+            className="btn btn-sm btn-outline-danger w-100"
+            onClick={handleDelete}
+            disabled={loading || !matchingCount}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+      {matchingCount !== null && (
+        <div className="form-text">
+          {matchingCount === 0 ? 'No stored games match.' : `${matchingCount} games will be removed.`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeleteGamesForm;
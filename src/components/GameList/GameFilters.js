@@ -0,0 +1,160 @@
+import React from 'react';
+import { SPEEDS } from '../../services/utils/gameMetadata';
+import { getSourceLabel } from '../../services/sources/sourceRegistry';
+
+export const EMPTY_GAME_FILTERS = {
+  accountId: '',
+  speed: '',
+  result: '',
+  opening: '',
+  dateFrom: '',
+  dateTo: '',
+  opponentEloMin: '',
+  opponentEloMax: '',
+  sort: 'endTime:desc'
+};
+
+// Form values -> query for gameQuery.js (empty inputs mean "any")
+export function toGameQuery(filters) {
+  const [sortBy, sortDirection] = filters.sort.split(':');
+  return {
+    accountId: filters.accountId,
+    speed: filters.speed,
+    result: filters.result,
+    opening: filters.opening.trim().toUpperCase(),
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+    opponentElo: {
+      min: filters.opponentEloMin === '' ? undefined : Number(filters.opponentEloMin),
+      max: filters.opponentEloMax === '' ? undefined : Number(filters.opponentEloMax)
+    },
+    sortBy,
+    sortDirection
+  };
+}
+
+const GameFilters = ({ filters, setFilters, accounts }) => {
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+  };
+
+  return (
+    <div className="row g-2 align-items-end">
+      <div className="col-md-3">
+        <label htmlFor="gameFilterAccount" className="form-label small">Account</label>
+        <select
+          id="gameFilterAccount"
+          className="form-select form-select-sm"
+          value={filters.accountId}
+          onChange={(e) => updateFilter('accountId', e.target.value)}
+        >
+          <option value="">All accounts</option>
+          {accounts.map(account => (
+            <option key={account.id} value={account.id}>
+              {account.username} ({getSourceLabel(account.source)})
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="col-md-2">
+        <label htmlFor="gameFilterSpeed" className="form-label small">Time class</label>
+        <select
+          id="gameFilterSpeed"
+          className="form-select form-select-sm text-capitalize"
+          value={filters.speed}
+          onChange={(e) => updateFilter('speed', e.target.value)}
+        >
+          <option value="">All</option>
+          {SPEEDS.map(speed => <option key={speed} value={speed}>{speed}</option>)}
+        </select>
+      </div>
+      <div className="col-md-2">
+        <label htmlFor="gameFilterResult" className="form-label small">Result</label>
+        <select
+          id="gameFilterResult"
+          className="form-select form-select-sm"
+          value={filters.result}
+          onChange={(e) => updateFilter('result', e.target.value)}
+        >
+          <option value="">All</option>
+          <option value="Win">Win</option>
+          <option value="Loss">Loss</option>
+          <option value="Draw">Draw</option>
+        </select>
+      </div>
+      <div className="col-md-2">
+        <label htmlFor="gameFilterOpening" className="form-label small">Opening (ECO)</label>
+        <input
+          type="text"
+          id="gameFilterOpening"
+          className="form-control form-control-sm"
+          value={filters.opening}
+          onChange={(e) => updateFilter('opening', e.target.value)}
+          placeholder="e.g. B01"
+        />
+      </div>
+      <div className="col-md-3">
+        <label htmlFor="gameFilterSort" className="form-label small">Sort by</label>
+        <select
+          id="gameFilterSort"
+          className="form-select form-select-sm"
+          value={filters.sort}
+          onChange={(e) => updateFilter('sort', e.target.value)}
+        >
+          <option value="endTime:desc">Newest first</option>
+          <option value="endTime:asc">Oldest first</option>
+          <option value="playerElo:desc">Highest own Elo</option>
+          <option value="opponentElo:desc">Strongest opponent</option>
+          <option value="opponentElo:asc">Weakest opponent</option>
+        </select>
+      </div>
+      <div className="col-md-3">
+        <label htmlFor="gameFilterDateFrom" className="form-label small">From</label>
+        <input
+          type="date"
+          id="gameFilterDateFrom"
+          className="form-control form-control-sm"
+          value={filters.dateFrom}
+          onChange={(e) => updateFilter('dateFrom', e.target.value)}
+        />
+      </div>
+      <div className="col-md-3">
+        <label htmlFor="gameFilterDateTo" className="form-label small">To</label>
+        <input
+          type="date"
+          id="gameFilterDateTo"
+          className="form-control form-control-sm"
+          value={filters.dateTo}
+          onChange={(e) => updateFilter('dateTo', e.target.value)}
+        />
+      </div>
+      <div className="col-md-2">
+        <label htmlFor="gameFilterEloMin" className="form-label small">Opponent Elo from</label>
+        <input
+          type="number"
+          id="gameFilterEloMin"
+          className="form-control form-control-sm"
+          value={filters.opponentEloMin}
+          onChange={(e) => updateFilter('opponentEloMin', e.target.value)}
+        />
+      </div>
+      <div className="col-md-2">
+        <label htmlFor="gameFilterEloMax" className="form-label small">to</label>
+        <input
+          type="number"
+          id="gameFilterEloMax"
+          className="form-control form-control-sm"
+          value={filters.opponentEloMax}
+          onChange={(e) => updateFilter('opponentEloMax', e.target.value)}
+        />
+      </div>
+      <div className="col-md-2">
+        <button className="btn btn-sm btn-outline-secondary w-100" onClick={() => setFilters(EMPTY_GAME_FILTERS)}>
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GameFilters;
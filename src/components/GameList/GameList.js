@@ -1,17 +1,154 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import GameFilters, { EMPTY_GAME_FILTERS, toGameQuery } from './GameFilters';
 import { downloadPGN } from '../../services/utils/pgn';
+import { getSourceLabel } from '../../services/sources/sourceRegistry';
+import { getAnalysisSummary } from '../../services/utils/moveAnalysis';
+import { queryGames, countGames } from '../../services/db/gameQuery';
+import { getGameStats } from '../../services/db/gameStorage';
+import { saveGamesInWorker } from '../../services/db/saveGamesInWorker';
+import { getWorkspaces, getActiveWorkspace } from '../../services/db/workspaces';
+import { subscribeToChanges } from '../../services/db/changeFeed';
 
+const PAGE_SIZE = 50;
+
+// games is the whole stored collection, used for the account filter; the rows themselves are
+// read page by page from the database, again whenever games are written here or in another tab
 const GameList = ({ games }) => {
+  const [filters, setFilters] = useState(EMPTY_GAME_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingPage, setLoadingPage] = useState(false);
+  const [copyTarget, setCopyTarget] = useState('');
+  const [copyStatus, setCopyStatus] = useState(null);
+  const [changeCount, setChangeCount] = useState(0);
+  const [showStats, setShowStats] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [otherWorkspaces] = useState(() => {
+    const activeId = getActiveWorkspace().id;
+    return getWorkspaces().filter(workspace => workspace.id !== activeId);
+  });
+
+  const query = useMemo(() => toGameQuery(filters), [filters]);
+
+  const accounts = useMemo(() => {
+    const accountsById = new Map();
+    games.forEach(game => {
+      if (!accountsById.has(game.accountId)) {
+        accountsById.set(game.accountId, { id: game.accountId, source: game.source, username: game.account });
+      }
+    });
+    return [...accountsById.values()];
+  }, [games]);
+
+  useEffect(() => subscribeToChanges(['games'], () => setChangeCount(count => count + 1)), []);
+
+  // First page and total whenever the filters or the stored games change
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadFirstPage() {
+      try {
+        const [page, count] = await Promise.all([
+          queryGames({ ...query, limit: PAGE_SIZE }),
+          countGames(query)
+        ]);
+        if (cancelled) return;
+        setRows(page.games);
+        setNextCursor(page.nextCursor);
+        setTotal(count);
+      } catch (error) {
+        console.error("Error loading games:", error);
+      }
+    }
+
+    loadFirstPage();
+    return () => { cancelled = true; };
+  }, [query, changeCount]);
+
+  // Stats read every matching game, so only while they are shown
+  useEffect(() => {
+    if (!showStats) return;
+    let cancelled = false;
+    getGameStats(query).then(result => {
+      if (!cancelled) setStats(result);
+    });
+    return () => { cancelled = true; };
+  }, [showStats, query, changeCount]);
+
+  async function handleLoadMore() {
+    setLoadingPage(true);
+    try {
+      const page = await queryGames({ ...query, limit: PAGE_SIZE, cursor: nextCursor });
+      setRows([...rows, ...page.games]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error("Error loading more games:", error);
+    } finally {
+      setLoadingPage(false);
+    }
+  }
+
+  // Every game matching the filters, not only the pages shown
+  async function handleDownload() {
+    const { games: matchingGames } = await queryGames({ ...query, limit: Infinity });
+    downloadPGN(matchingGames);
+  }
+
+  // Copies keep their ids, so copying the same games again only updates them
+  async function handleCopy() {
+    const target = otherWorkspaces.find(workspace => workspace.id === copyTarget);
+    setCopyStatus({ message: `Copying ${total} games to ${target.name}...` });
+    try {
+      const { games: matchingGames } = await queryGames({ ...query, limit: Infinity });
+      const result = await saveGamesInWorker(matchingGames, undefined, { workspaceId: target.id });
+      setCopyStatus({
+        message: `${result.inserted} games copied to ${target.name}, ${result.updated + result.unchanged} were already there`
+          + (result.failed.length > 0 ? `, ${result.failed.length} failed: ${result.failed[0].reason}` : ''),
+        failed: result.failed.length > 0
+      });
+    } catch (error) {
+      setCopyStatus({ message: `Failed to copy games: ${error.message}`, failed: true });
+    }
+  }
+
   if (games.length === 0) return null;
 
   return (
     <div className="card">
       <div className="card-header d-flex justify-content-between align-items-center">
-        <h5 className="mb-0">Total current loaded games: {games.length} </h5>
-        <button className="btn btn-sm btn-success" onClick={() => downloadPGN(games)}>
-          Download as PGN
-        </button>
+        <h5 className="mb-0">Games matching filters: {total} of {games.length}</h5>
+        <div className="d-flex gap-2">
+          {otherWorkspaces.length > 0 && (
+            <div className="input-group input-group-sm w-auto">
+              <select className="form-select" value={copyTarget} onChange={(e) => setCopyTarget(e.target.value)}>
+                <option value="">Copy to workspace...</option>
+                {otherWorkspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                ))}
+              </select>
+              <button className="btn btn-outline-primary" onClick={handleCopy} disabled={!copyTarget || total === 0}>
+                Copy
+              </button>
+            </div>
+          )}
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setShowStats(!showStats)}>
+            {showStats ? 'Hide stats' : 'Stats'}
+          </button>
+          <button className="btn btn-sm btn-success" onClick={handleDownload} disabled={total === 0}>
+            Download as PGN
+          </button>
+        </div>
+      </div>
+      {copyStatus && (
+        <div className={`alert ${copyStatus.failed ? 'alert-warning' : 'alert-info'} rounded-0 mb-0 py-2 small`}>
+          {copyStatus.message}
+        </div>
+      )}
+      <div className="card-body border-bottom">
+        <GameFilters filters={filters} setFilters={setFilters} accounts={accounts} />
       </div>
+      {showStats && stats && renderStats(stats)}
       <div className="card-body p-0">
         <div className="table-responsive">
           <table className="table table-striped table-hover mb-0">
@@ -24,32 +161,47 @@ const GameList = ({ games }) => {
                 <th>Result</th>
                 <th>Time</th>
                 <th>Opening</th>
+                <th>Accuracy</th>
                 <th>Link</th>
               </tr>
             </thead>
             <tbody>
-              {games.slice(0, 100).map(game => (
-                <tr key={game.id}>
-                  <td>{game.date}</td>
-                  <td>{game.account}</td>
-                  <td>{game.white} ({game.whiteElo || 'N/A'})</td>
-                  <td>{game.black} ({game.blackElo || 'N/A'})</td>
-                  <td>{game.result}</td>
-                  <td>{game.timeControl}</td>
-                  <td>{game.openingName || 'Unknown'}</td>
-                  <td>
-                    <a href={game.url} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-primary">
-                      View
-                    </a>
-                  </td>
-                </tr>
-              ))}
+              {rows.map(game => {
+                const analysis = getAnalysisSummary(game);
+                return (
+                  <tr key={game.id}>
+                    <td>{game.date}</td>
+                    <td>{game.account} <span className="text-muted small">({getSourceLabel(game.source)})</span></td>
+                    <td>{game.white} ({game.whiteElo || 'N/A'})</td>
+                    <td>{game.black} ({game.blackElo || 'N/A'})</td>
+                    <td>{game.result} {game.playerColor && <span className="text-muted small">({game.playerColor})</span>}</td>
+                    <td>{game.timeControl} {game.speed && <span className="text-muted small">({game.speed})</span>}</td>
+                    <td>{game.openingName || 'Unknown'}</td>
+                    <td>
+                      {analysis.accuracy !== null ? `${Math.round(analysis.accuracy)}%` : '-'}
+                      {analysis.blunders !== null && (
+                        <span className="text-muted small" title={`${analysis.inaccuracies} inaccuracies, ${analysis.mistakes} mistakes, ${analysis.blunders} blunders`}>
+                          {' '}({analysis.blunders} ??)
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      <a href={game.url} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-primary">
+                        View
+                      </a>
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
         </div>
-        {games.length > 100 && (
-          <div className="card-footer text-muted">
-            Showing first 100 games. All {games.length} games are stored in the database.
+        {nextCursor && (
+          <div className="card-footer d-flex justify-content-between align-items-center text-muted">
+            Showing {rows.length} of {total} games.
+            <button className="btn btn-sm btn-outline-primary" onClick={handleLoadMore} disabled={loadingPage}>
+              {loadingPage ? 'Loading...' : 'Load more'}
+            </button>
           </div>
         )}
       </div>
@@ -57,4 +209,32 @@ const GameList = ({ games }) => {
   );
 };
 
+// Results count each account's side, so a game between two tracked accounts is a win and a loss
+function renderStats({ totalGames, totalRecords, resultDistribution, resultsByColor, openingFrequency }) {
+  const formatResults = ({ wins, losses, draws }) => `+${wins} -${losses} =${draws}`;
+  const topOpenings = Object.entries(openingFrequency)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3);
+
+  return (
+    <div className="card-body border-bottom small">
+      <div className="row g-2">
+        <div className="col-md-3">
+          <strong>{totalGames}</strong> games
+          {totalRecords > totalGames && <span className="text-muted"> ({totalRecords} stored copies)</span>}
+        </div>
+        <div className="col-md-3">All: {formatResults(resultDistribution)}</div>
+        <div className="col-md-3">
+          White: {formatResults(resultsByColor.white)}, Black: {formatResults(resultsByColor.black)}
+        </div>
+        <div className="col-md-3 text-truncate">
+          {topOpenings.length > 0
+            ? `Top openings: ${topOpenings.map(([opening, count]) => `${opening} (${count})`).join(', ')}`
+            : 'No openings recorded'}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default GameList;
\ No newline at end of file
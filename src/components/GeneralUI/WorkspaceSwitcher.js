@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getWorkspaces,
+  getActiveWorkspace,
+  setActiveWorkspace,
+  createWorkspace,
+  deleteWorkspace,
+  subscribeToWorkspaceDeletion,
+  DEFAULT_WORKSPACE
+} from '../../services/db/workspaces';
+
+const NEW_WORKSPACE = '__new__';
+
+// Every component reads from the active workspace's database, so switching reloads the app
+const WorkspaceSwitcher = () => {
+  const [workspaces] = useState(getWorkspaces);
+  const [activeWorkspace] = useState(getActiveWorkspace);
+
+  const switchTo = (workspaceId) => {
+    setActiveWorkspace(workspaceId);
+    window.location.reload();
+  };
+
+  // Another tab deleted the workspace this one shows
+  useEffect(() => subscribeToWorkspaceDeletion((workspaceId) => {
+    if (workspaceId !== activeWorkspace.id) return;
+    setActiveWorkspace(DEFAULT_WORKSPACE.id);
+    window.location.reload();
+  }), [activeWorkspace.id]);
+
+  const handleChange = (value) => {
+    if (value !== NEW_WORKSPACE) {
+      switchTo(value);
+      return;
+    }
+
+    const name = window.prompt('Name of the new workspace (e.g. "Scouting: opponent"):');
+    if (name === null) return;
+    try {
+      switchTo(createWorkspace(name).id);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the workspace "${activeWorkspace.name}" with all of its games and trees?`)) return;
+    try {
+      await deleteWorkspace(activeWorkspace.id);
+      switchTo(DEFAULT_WORKSPACE.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="d-flex align-items-center me-2">
+      <select
+        className="form-select form-select-sm"
+        value={activeWorkspace.id}
+        onChange={(e) => handleChange(e.target.value)}
+        aria-label="Workspace"
+      >
+        {workspaces.map(workspace => (
+          <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+        ))}
+        <option value={NEW_WORKSPACE}>New workspace...</option>
+      </select>
+      {activeWorkspace.id !== DEFAULT_WORKSPACE.id && (
+        <button
+          className="btn btn-sm btn-outline-danger ms-1"
+          onClick={handleDelete}
+          title="Delete this workspace"
+          aria-label="Delete this workspace"
+        >
+          &times;
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
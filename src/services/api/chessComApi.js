@@ -1,76 +1,153 @@
 // src/services/api/chessComApi.js
-export async function fetchChessComGames(username, gamesPerAccount, progressCallback) 
+import { downloadArchives, fetchWithRetry, getArchiveMonth } from './chessComArchives';
+import { getAccountId } from '../utils/accounts';
+import { applyPlayerPerspective } from '../utils/perspective';
+import { parseTimeControl, formatTimeControl, normalizeTermination, normalizeVariant, toISODate } from '../utils/gameMetadata';
+import { matchesImportFilters, narrowRange } from '../utils/importFilters';
+import { getStoredGames } from '../db/gameStorage';
+
+// Can be pointed at a local stub server serving canned archive JSON
+const CHESS_COM_API_URL = process.env.REACT_APP_CHESS_COM_API_URL || 'https://api.chess.com/pub';
+
+// options.since: only return games that ended after this timestamp (ms), skipping older archives.
+// Games are read newest first, so gamesPerAccount keeps the newest ones; with since they are read
+// oldest first instead, so a limited sync keeps the games right after since and the next one goes on from there.
+// options.skipArchives: archive URLs already handled by an earlier (interrupted) run
+// options.onBatch(games, archiveUrl): awaited with each archive's games, in reading order
+// options.onArchiveFailure(url, error): called for archives that still failed after retrying
+// options.filters: import filters (see importFilters.js); months outside the date range are never
+// downloaded, the rest is filtered per archive
+// options.signal: AbortSignal that cancels all outstanding requests
+// progressCallback receives the percentage of archives processed.
+export async function fetchChessComGames(username, gamesPerAccount, progressCallback, options = {})
 {
+    const { skipArchives = [], onBatch, onArchiveFailure, signal, filters = {} } = options;
+    const { since, until } = narrowRange(options.since, null, filters);
+
     try {
         // Chess.com API requires getting archives first, then fetching games from each archive
-        const archivesResponse = await fetch(`https://api.chess.com/pub/player/${username}/games/archives`);
+        const archivesResponse = await fetchWithRetry(`${CHESS_COM_API_URL}/player/${username}/games/archives`, { signal });
         if (!archivesResponse.ok) {
         throw new Error(`Chess.com API error for ${username}: ${archivesResponse.status}`);
         }
-        
+
         const archivesData = await archivesResponse.json();
-        const archives = archivesData.archives;
-        
+        // Monthly archives end with /YYYY/MM, so months outside the range can be skipped entirely
+        const archives = archivesData.archives.filter(archiveUrl =>
+            !skipArchives.includes(archiveUrl) &&
+            !(since && isArchiveBefore(archiveUrl, since)) &&
+            !(until && isArchiveAfter(archiveUrl, until))
+        );
+
         let allGames = [];
         let processedArchives = 0;
-        
-        for (const archiveUrl of archives.reverse()) {
-        const gamesResponse = await fetch(archiveUrl);
-        if (!gamesResponse.ok) {
-            throw new Error(`Failed to fetch archive: ${gamesResponse.status}`);
-        }
-        const gamesData = await gamesResponse.json();
-        
-        const formattedGames = gamesData.games.map(game => {
-            const formattedGame = {
-            id: `${game.url}-${username}`, // Add username to ensure unique IDs
-            white: game.white.username,
-            black: game.black.username,
-            result: determineResult(game.white.result, username),
-            date: new Date(game.end_time * 1000).toLocaleDateString(),
-            url: game.url,
-            pgn: game.pgn,
-            source: 'chess.com',
-            account: username,
-            timeControl: formatChessComTimeControl(game.time_control),
-            whiteElo: game.white.rating,
-            blackElo: game.black.rating
-            };
-            
-            return formattedGame;
+
+        // Archives are listed oldest first
+        const oldestFirst = Boolean(since);
+        const { results, failures } = await downloadArchives(oldestFirst ? archives : [...archives].reverse(), {
+            signal,
+            // Cached months are read from the games saved when they were downloaded
+            getStoredGames: (gameUrls) => getStoredGames(gameUrls.map(gameUrl => getChessComGameId(gameUrl, username))),
+            onArchive: async ({ url, games, storedGames }) => {
+                let archiveGames = (storedGames || games.map(game => formatChessComGame(game, username)))
+                    .filter(game => !since || game.endTime > since)
+                    .filter(game => matchesImportFilters(game, filters))
+                    .sort((a, b) => oldestFirst ? a.endTime - b.endTime : b.endTime - a.endTime);
+                if (gamesPerAccount !== -1) {
+                    archiveGames = archiveGames.slice(0, gamesPerAccount - allGames.length);
+                }
+                allGames = [...allGames, ...archiveGames];
+
+                if (onBatch) {
+                    await onBatch(archiveGames, url);
+                }
+
+                // Update progress
+                processedArchives++;
+                if (progressCallback) {
+                    progressCallback((processedArchives / archives.length) * 100);
+                }
+
+                // Stop scheduling further archives once we have enough games
+                return gamesPerAccount === -1 || allGames.length < gamesPerAccount;
+            }
         });
-        
-        allGames = [...allGames, ...formattedGames];
-        
-        // Update progress
-        processedArchives++;
-        const archiveProgress = (processedArchives / archives.length) * 100;
-        if (progressCallback) {
-            progressCallback(prev => Math.max(prev, archiveProgress));
-        }
-        
-        if (gamesPerAccount !== -1 && allGames.length >= gamesPerAccount) {
-            allGames = allGames.slice(0, gamesPerAccount);
-            break;
-        }
+
+        if (failures.length > 0) {
+            if (results.length === 0) {
+                throw new Error(`All ${failures.length} archives failed: ${failures[0].error.message}`);
+            }
+            failures.forEach(({ url, error }) => onArchiveFailure && onArchiveFailure(url, error));
         }
-        
+
         return allGames;
     } catch (error) {
         console.error(`Error fetching Chess.com games for ${username}:`, error);
         throw error;
     }
 }
-  
-function formatChessComTimeControl(timeControl) 
+
+// Add username to ensure unique IDs
+function getChessComGameId(gameUrl, username)
 {
-    const [initial, increment] = timeControl.split('+').map(Number);
-    return increment ? `${Math.floor(initial / 60)}+${increment}` : `${Math.floor(initial / 60)}`;
+    return `${gameUrl}-${username}`;
 }
 
-function determineResult(result, username) 
+function formatChessComGame(game, username)
 {
-    if (result === 'win') return 'Win';
-    if (result === 'lose') return 'Loss';
-    return 'Draw';
-}
\ No newline at end of file
+    const parsedTimeControl = parseTimeControl(game.time_control);
+
+    return applyPlayerPerspective({
+        id: getChessComGameId(game.url, username),
+        white: game.white.username,
+        black: game.black.username,
+        outcome: determineOutcome(game),
+        date: toISODate(game.end_time * 1000),
+        endTime: game.end_time * 1000,
+        url: game.url,
+        pgn: game.pgn,
+        source: 'chess.com',
+        account: username,
+        accountId: getAccountId('chess.com', username),
+        timeControl: formatTimeControl(parsedTimeControl),
+        clock: parsedTimeControl?.daysPerMove ? null : parsedTimeControl,
+        speed: game.time_class === 'daily' ? 'correspondence' : game.time_class,
+        rated: game.rated ? 1 : 0, // IndexedDB can't index booleans
+        variant: normalizeVariant(game.rules),
+        termination: normalizeTermination(determineTerminationCode(game)),
+        whiteElo: game.white.rating,
+        blackElo: game.black.rating,
+        // Only present when the game was reviewed on chess.com
+        whiteAccuracy: game.accuracies?.white ?? null,
+        blackAccuracy: game.accuracies?.black ?? null
+    });
+}
+
+function isArchiveBefore(archiveUrl, timestamp)
+{
+    const { year, month } = getArchiveMonth(archiveUrl);
+    const sinceDate = new Date(timestamp);
+    return year < sinceDate.getUTCFullYear() ||
+        (year === sinceDate.getUTCFullYear() && month < sinceDate.getUTCMonth() + 1);
+}
+
+// until is exclusive, so an archive starting exactly at until is already out of range
+function isArchiveAfter(archiveUrl, until)
+{
+    const { year, month } = getArchiveMonth(archiveUrl);
+    return Date.UTC(year, month - 1, 1) >= until;
+}
+
+// The side that didn't win carries the reason ('checkmated', 'resigned', 'agreed'...)
+function determineTerminationCode(game)
+{
+    return game.white.result === 'win' ? game.black.result : game.white.result;
+}
+
+// Chess.com reports a result per side ('win', 'checkmated', 'agreed'...), only one side can 'win'
+function determineOutcome(game)
+{
+    if (game.white.result === 'win') return '1-0';
+    if (game.black.result === 'win') return '0-1';
+    return '1/2-1/2';
+}
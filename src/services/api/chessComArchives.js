@@ -0,0 +1,174 @@
+// src/services/api/chessComArchives.js
+import { getCachedArchive, saveCachedArchive } from '../db/archiveCache';
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_RETRY_DELAY = 1000; // ms, doubled on every retry
+
+// Fetch that backs off and retries on 429/5xx and network errors.
+// Other non-OK statuses (404, 403...) are returned to the caller as-is.
+export async function fetchWithRetry(url, init = {}, options = {})
+{
+    const { maxRetries = DEFAULT_MAX_RETRIES, baseDelay = BASE_RETRY_DELAY } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
+            console.warn(`Network error fetching ${url}, retrying:`, error.message);
+        }
+
+        if (response) {
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= maxRetries) return response;
+        }
+
+        await sleep(getRetryDelay(response, attempt, baseDelay), init.signal);
+    }
+}
+
+// Downloads monthly archives a few at a time, in the order given (newest first).
+// The cache only keeps each month's validators and game URLs (see archiveCache.js): the games
+// themselves are the stored ones, which options.getStoredGames(gameUrls) resolves to, or to null
+// when any of them isn't stored (not saved, or deleted since). With all of them stored, completed
+// past months are served without a request and the current month is revalidated with its
+// ETag/Last-Modified; otherwise the month is downloaded again.
+// options.onArchive(result) is awaited for each archive in input order, whatever order
+// they finish in; returning false stops scheduling further archives. A failed archive
+// never discards the others. options.signal aborts the whole download.
+// Resolves to { results: [{ url, games, storedGames, fromCache }], failures: [{ url, error }] } in
+// input order; a result has the downloaded games, or storedGames when it comes from the cache.
+export async function downloadArchives(archiveUrls, options = {})
+{
+    const { concurrency = DEFAULT_CONCURRENCY, onArchive, retryOptions, signal, getStoredGames } = options;
+
+    const settled = new Array(archiveUrls.length);
+    const results = [];
+    const failures = [];
+    let nextIndex = 0;
+    let emitIndex = 0;
+    let stopped = false;
+    let emitting = Promise.resolve();
+
+    // Hand finished archives over in input order so callers can checkpoint a contiguous prefix
+    const emitReady = async () => {
+        while (!stopped && emitIndex < archiveUrls.length && settled[emitIndex]) {
+            const { result, error } = settled[emitIndex];
+            emitIndex++;
+
+            if (error) {
+                failures.push({ url: archiveUrls[emitIndex - 1], error });
+                continue;
+            }
+
+            results.push(result);
+            if (onArchive && (await onArchive(result)) === false) {
+                stopped = true;
+            }
+        }
+    };
+
+    const worker = async () => {
+        while (!stopped && !signal?.aborted && nextIndex < archiveUrls.length) {
+            const index = nextIndex++;
+            const url = archiveUrls[index];
+
+            try {
+                settled[index] = { result: await downloadArchive(url, { retryOptions, signal, getStoredGames }) };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.error(`Failed to fetch archive ${url}:`, error);
+                settled[index] = { error };
+            }
+
+            emitting = emitting.then(emitReady);
+            await emitting;
+        }
+    };
+
+    const workerCount = Math.min(concurrency, archiveUrls.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (signal?.aborted) {
+        throw new DOMException('Archive download aborted', 'AbortError');
+    }
+
+    return { results, failures };
+}
+
+async function downloadArchive(url, { retryOptions, signal, getStoredGames })
+{
+    const cached = await getCachedArchive(url);
+    const storedGames = cached && getStoredGames ? await getStoredGames(cached.gameUrls) : null;
+    if (storedGames && cached.complete) {
+        return { url, games: null, storedGames, fromCache: true };
+    }
+
+    // A 304 only helps when the games it confirms are still stored
+    const headers = {};
+    if (storedGames && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (storedGames && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetchWithRetry(url, { headers, signal }, retryOptions);
+
+    if (response.status === 304 && storedGames) {
+        return { url, games: null, storedGames, fromCache: true };
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch archive: ${response.status}`);
+    }
+
+    const gamesData = await response.json();
+    const games = gamesData.games || [];
+
+    await saveCachedArchive({
+        url,
+        gameUrls: games.map(game => game.url),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        complete: isPastMonth(url)
+    });
+
+    return { url, games, fromCache: false };
+}
+
+// Archives end with /YYYY/MM; any month before the current one can no longer change
+export function getArchiveMonth(archiveUrl)
+{
+    const [year, month] = archiveUrl.split('/').slice(-2).map(Number);
+    return { year, month };
+}
+
+function isPastMonth(archiveUrl)
+{
+    const { year, month } = getArchiveMonth(archiveUrl);
+    const now = new Date();
+    return year < now.getUTCFullYear() ||
+        (year === now.getUTCFullYear() && month < now.getUTCMonth() + 1);
+}
+
+function getRetryDelay(response, attempt, baseDelay)
+{
+    const retryAfter = Number(response?.headers.get('Retry-After'));
+    if (retryAfter > 0) return retryAfter * 1000;
+    // Exponential backoff with a little jitter so parallel downloads don't retry in lockstep
+    return baseDelay * 2 ** attempt + Math.random() * baseDelay;
+}
+
+// The abort listener goes once the delay is over, the job's signal outlives many retries
+function sleep(ms, signal)
+{
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request aborted', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,217 @@
+import 'fake-indexeddb/auto';
+import { downloadArchives, fetchWithRetry } from './chessComArchives';
+import { getCachedArchive } from '../db/archiveCache';
+
+const RETRY_OPTIONS = { maxRetries: 2, baseDelay: 1 };
+
+let nextArchiveId = 0;
+
+// Every test gets its own archive URLs, the cache lives in the same database
+function archiveUrl(year, month) {
+  return `https://api.test/${nextArchiveId++}/games/${year}/${String(month).padStart(2, '0')}`;
+}
+
+function currentMonthUrl() {
+  const now = new Date();
+  return archiveUrl(now.getUTCFullYear(), now.getUTCMonth() + 1);
+}
+
+function mockResponse(status, body = {}, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name] ?? null },
+    json: async () => body
+  };
+}
+
+const archiveBody = (...ids) => ({ games: ids.map(id => ({ url: `game-${id}` })) });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('fetchWithRetry', () => {
+  test('backs off on 429 and 5xx until a request succeeds', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(429))
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+    const response = await fetchWithRetry('https://api.test/x', {}, RETRY_OPTIONS);
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after maxRetries and returns the last response', async () => {
+    fetch.mockResolvedValue(mockResponse(502));
+
+    const response = await fetchWithRetry('https://api.test/x', {}, RETRY_OPTIONS);
+    expect(response.status).toBe(502);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries network errors and throws the last one', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(fetchWithRetry('https://api.test/x', {}, RETRY_OPTIONS)).rejects.toThrow('Failed to fetch');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('leaves no abort listener behind on the signal after retrying', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200));
+    const controller = new AbortController();
+    const addListener = jest.spyOn(controller.signal, 'addEventListener');
+    const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await fetchWithRetry('https://api.test/x', { signal: controller.signal }, RETRY_OPTIONS);
+    expect(addListener).toHaveBeenCalledTimes(2);
+    expect(removeListener.mock.calls).toEqual(addListener.mock.calls.map(([type, listener]) => [type, listener]));
+  });
+
+  test('returns other errors without retrying', async () => {
+    fetch.mockResolvedValue(mockResponse(404));
+
+    const response = await fetchWithRetry('https://api.test/x', {}, RETRY_OPTIONS);
+    expect(response.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('downloadArchives', () => {
+  test('hands archives over in input order whatever order they finish in', async () => {
+    const urls = [archiveUrl(2020, 3), archiveUrl(2020, 2), archiveUrl(2020, 1)];
+    // The first archive is the slowest
+    const delays = { [urls[0]]: 30, [urls[1]]: 10, [urls[2]]: 0 };
+    fetch.mockImplementation(async (url) => {
+      await wait(delays[url]);
+      return mockResponse(200, archiveBody(url));
+    });
+
+    const emitted = [];
+    const { results, failures } = await downloadArchives(urls, {
+      retryOptions: RETRY_OPTIONS,
+      onArchive: async ({ url }) => {
+        emitted.push(url);
+      }
+    });
+
+    expect(emitted).toEqual(urls);
+    expect(results.map(result => result.url)).toEqual(urls);
+    expect(results[0].games).toEqual([{ url: `game-${urls[0]}` }]);
+    expect(failures).toEqual([]);
+  });
+
+  test('a failed archive does not discard the others', async () => {
+    const urls = [archiveUrl(2020, 3), archiveUrl(2020, 2), archiveUrl(2020, 1)];
+    fetch.mockImplementation(async (url) =>
+      url === urls[1] ? mockResponse(500) : mockResponse(200, archiveBody(1, 2))
+    );
+
+    const { results, failures } = await downloadArchives(urls, { retryOptions: RETRY_OPTIONS });
+
+    expect(results.map(result => result.url)).toEqual([urls[0], urls[2]]);
+    expect(failures).toHaveLength(1);
+    expect(failures[0].url).toBe(urls[1]);
+    expect(failures[0].error.message).toMatch('500');
+  });
+
+  test('stops scheduling archives once onArchive returns false', async () => {
+    const urls = [archiveUrl(2020, 3), archiveUrl(2020, 2), archiveUrl(2020, 1)];
+    fetch.mockImplementation(async () => mockResponse(200, archiveBody(1)));
+
+    const { results } = await downloadArchives(urls, {
+      concurrency: 1,
+      retryOptions: RETRY_OPTIONS,
+      onArchive: async () => false
+    });
+
+    expect(results).toHaveLength(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  // The games of a month as if they had been saved when it was downloaded
+  const storedGames = (gameUrls) => gameUrls.map(url => ({ id: url, url }));
+  const cacheOptions = { retryOptions: RETRY_OPTIONS, getStoredGames: async (gameUrls) => storedGames(gameUrls) };
+
+  test('serves completed past months from the stored games without a request', async () => {
+    const url = archiveUrl(2020, 1);
+    fetch.mockResolvedValue(mockResponse(200, archiveBody(1, 2)));
+
+    const first = await downloadArchives([url], cacheOptions);
+    expect(first.results[0].fromCache).toBe(false);
+    expect(first.results[0].games).toHaveLength(2);
+
+    const second = await downloadArchives([url], cacheOptions);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(second.results[0]).toMatchObject({ url, games: null, fromCache: true });
+    expect(second.results[0].storedGames).toEqual(storedGames(['game-1', 'game-2']));
+  });
+
+  test('downloads a past month again when some of its games are no longer stored', async () => {
+    const url = archiveUrl(2020, 1);
+    fetch.mockResolvedValue(mockResponse(200, archiveBody(1, 2)));
+
+    await downloadArchives([url], cacheOptions);
+    const { results } = await downloadArchives([url], { retryOptions: RETRY_OPTIONS, getStoredGames: async () => null });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][1].headers).toEqual({});
+    expect(results[0]).toMatchObject({ url, fromCache: false });
+    expect(results[0].games).toHaveLength(2);
+  });
+
+  test('revalidates the current month with its ETag and uses the stored games on 304', async () => {
+    const url = currentMonthUrl();
+    fetch
+      .mockResolvedValueOnce(mockResponse(200, archiveBody(1), { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }))
+      .mockResolvedValueOnce(mockResponse(304));
+
+    await downloadArchives([url], cacheOptions);
+    const { results } = await downloadArchives([url], cacheOptions);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][1].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+    expect(results[0]).toMatchObject({ url, fromCache: true });
+    expect(results[0].storedGames).toEqual(storedGames(['game-1']));
+  });
+
+  test('downloads the current month again when it changed', async () => {
+    const url = currentMonthUrl();
+    fetch
+      .mockResolvedValueOnce(mockResponse(200, archiveBody(1), { ETag: '"v1"' }))
+      .mockResolvedValueOnce(mockResponse(200, archiveBody(1, 2), { ETag: '"v2"' }));
+
+    await downloadArchives([url], cacheOptions);
+    const { results } = await downloadArchives([url], cacheOptions);
+
+    expect(results[0].fromCache).toBe(false);
+    expect(results[0].games).toHaveLength(2);
+  });
+
+  test('keeps only the validators and game URLs of a month in the cache', async () => {
+    const url = archiveUrl(2020, 1);
+    fetch.mockResolvedValue(mockResponse(200, archiveBody(1, 2), { ETag: '"v1"' }));
+
+    await downloadArchives([url], cacheOptions);
+
+    const cached = await getCachedArchive(url);
+    expect(cached).toMatchObject({ url, gameUrls: ['game-1', 'game-2'], etag: '"v1"', complete: true });
+    expect(cached.games).toBeUndefined();
+  });
+});
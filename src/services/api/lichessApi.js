@@ -1,52 +1,266 @@
 // src/services/api/lichessApi.js
-export async function fetchLichessGames(username, gamesPerAccount) 
+import { getAccountId } from '../utils/accounts';
+import { applyPlayerPerspective } from '../utils/perspective';
+import { normalizeTermination, toISODate } from '../utils/gameMetadata';
+import { matchesImportFilters, narrowRange } from '../utils/importFilters';
+import { JUDGMENTS, countJudgments } from '../utils/moveAnalysis';
+
+const LICHESS_MAX_GAMES = 10000; // Set a high limit if fetching all games
+const STREAM_BATCH_SIZE = 100;
+
+// Lichess perf types per speed class. Variants have perf types of their own,
+// so asking only for these also leaves variant games out of the export.
+const PERF_TYPES_BY_SPEED = {
+  bullet: ['ultraBullet', 'bullet'],
+  blitz: ['blitz'],
+  rapid: ['rapid'],
+  classical: ['classical'],
+  correspondence: ['correspondence']
+};
+
+// Streams the ndjson export (newest first by default), formatting each game as soon as its line arrives.
+// options.onBatch(games) receives formatted games in batches (awaited, so it can save them),
+// options.progressCallback receives progress as games received out of the expected count,
+// options.since only asks for games played after this timestamp (ms),
+// options.until only asks for games started before this timestamp (ms, used to resume),
+// options.oldestFirst streams oldest first instead, so a limited sync takes the games right after since,
+// options.filters (see importFilters.js) are sent as query parameters where lichess supports them,
+// options.token is an optional personal API token (higher rate limits, private games),
+// options.signal cancels the download.
+// Resolves to the number of games streamed; games are not kept once handed to onBatch.
+export async function streamLichessGames(username, gamesPerAccount, options = {})
 {
+    const { onBatch, progressCallback, signal, token, oldestFirst, filters = {}, batchSize = STREAM_BATCH_SIZE } = options;
+    const { since, until } = narrowRange(options.since, options.until, filters);
+
     try {
-      const maxGames = gamesPerAccount === -1 ? 10000 : gamesPerAccount; // Set a high limit if fetching all games
-      const response = await fetch(`https://lichess.org/api/games/user/${username}?max=${maxGames}&pgnInJson=true`, {
+      const maxGames = gamesPerAccount === -1 ? LICHESS_MAX_GAMES : gamesPerAccount;
+      // Server-side analysis, clocks and opening come with the export, so analyzed games need no engine run
+      const params = new URLSearchParams({
+        max: maxGames,
+        pgnInJson: true,
+        evals: true,
+        accuracy: true,
+        clocks: true,
+        opening: true
+      });
+      if (since) {
+        params.set('since', since + 1);
+      }
+      if (until) {
+        params.set('until', until - 1);
+      }
+      if (oldestFirst) {
+        params.set('sort', 'dateAsc');
+      }
+      const perfTypes = getPerfTypes(filters);
+      if (perfTypes.length > 0) {
+        params.set('perfType', perfTypes.join(','));
+      }
+      if (filters.ratedOnly) {
+        params.set('rated', true);
+      }
+
+      const response = await fetch(`https://lichess.org/api/games/user/${username}?${params}`, {
         headers: {
-          'Accept': 'application/json'
-        }
+          'Accept': 'application/x-ndjson',
+          ...getAuthHeaders(token)
+        },
+        signal
       });
-      
+
       if (!response.ok) {
-        throw new Error(`Lichess API error for ${username}: ${response.status}`);
-      }
-      
-      const text = await response.text();
-      // Lichess returns ndjson (one JSON object per line)
-      const games = text.trim().split('\n').map(line => JSON.parse(line));
-      
-      return games.map(game => {
-        const formattedGame = {
-          id: `${game.id}-${username}`, // Add username to ensure unique IDs
-          white: game.players.white.user?.name || 'Anonymous',
-          black: game.players.black.user?.name || 'Anonymous',
-          result: determineLichessResult(game, username),
-          date: new Date(game.createdAt).toLocaleDateString(),
-          url: `https://lichess.org/${game.id}`,
-          pgn: game.pgn,
-          source: 'lichess',
-          account: username,
-          timeControl: `${Math.floor(game.clock?.initial / 60 || 0)}+${game.clock?.increment || 0}`,
-          whiteElo: game.players.white.rating,
-          blackElo: game.players.black.rating
-        };
-        
-        return formattedGame;
-      });
+        throw new Error(getErrorMessage(response.status, username, token));
+      }
+
+      // Without a since bound the profile game count gives a better estimate than max
+      const expectedGames = !since && !until && perfTypes.length === 0 && !filters.ratedOnly && gamesPerAccount === -1
+        ? Math.min(maxGames, await fetchLichessGameCount(username, token) || maxGames)
+        : maxGames;
+
+      let batch = [];
+      let received = 0;
+
+      const flushBatch = async () => {
+        if (batch.length === 0) return;
+        const readyGames = batch;
+        batch = [];
+        if (onBatch) {
+          await onBatch(readyGames);
+        }
+      };
+
+      const handleLine = async (line) => {
+        // Lichess returns ndjson (one JSON object per line)
+        if (!line.trim()) return;
+        const game = JSON.parse(line);
+        received++;
+
+        if (!since || (game.lastMoveAt || game.createdAt) > since) {
+          // Anything the query parameters couldn't express (e.g. fromPosition games) is dropped here
+          const formattedGame = formatLichessGame(game, username);
+          if (matchesImportFilters(formattedGame, filters)) {
+            batch.push(formattedGame);
+          }
+        }
+
+        if (progressCallback) {
+          progressCallback(Math.min(100, (received / expectedGames) * 100));
+        }
+
+        if (batch.length >= batchSize) {
+          await flushBatch();
+        }
+      };
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the partial last line for the next chunk
+
+        for (const line of lines) {
+          await handleLine(line);
+        }
+      }
+
+      await handleLine(buffer + decoder.decode());
+      await flushBatch();
+
+      if (progressCallback) {
+        progressCallback(100);
+      }
+
+      return received;
     } catch (error) {
       console.error(`Error fetching Lichess games for ${username}:`, error);
       throw error;
     }
 }
-  
-function determineLichessResult(game, username) 
+
+function getPerfTypes(filters)
+{
+    if (filters.speeds?.length > 0) {
+      return filters.speeds.flatMap(speed => PERF_TYPES_BY_SPEED[speed] || []);
+    }
+    return filters.standardOnly ? Object.values(PERF_TYPES_BY_SPEED).flat() : [];
+}
+
+function getAuthHeaders(token)
+{
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+function getErrorMessage(status, username, token)
+{
+    if (status === 401) {
+      return token
+        ? 'Lichess rejected the API token (401). It may have been revoked or expired, enter a new one next to the username.'
+        : 'Lichess requires authentication for this export (401).';
+    }
+    if (status === 429) {
+      // Lichess asks clients to wait a full minute after a 429
+      return token
+        ? 'Lichess rate limit reached (429). Wait a minute before fetching again.'
+        : 'Lichess rate limit reached (429). Wait a minute before fetching again, or add a personal API token for higher limits.';
+    }
+    if (status === 404) {
+      return `Lichess user ${username} not found (404).`;
+    }
+    return `Lichess API error for ${username}: ${status}`;
+}
+
+async function fetchLichessGameCount(username, token)
+{
+    try {
+      const response = await fetch(`https://lichess.org/api/user/${username}`, { headers: getAuthHeaders(token) });
+      if (!response.ok) return null;
+      const user = await response.json();
+      return user.count?.all || null;
+    } catch (error) {
+      console.warn(`Could not get game count for ${username}:`, error);
+      return null;
+    }
+}
+
+function formatLichessGame(game, username)
+{
+    return applyPlayerPerspective({
+      id: `${game.id}-${username}`, // Add username to ensure unique IDs
+      white: game.players.white.user?.name || 'Anonymous',
+      black: game.players.black.user?.name || 'Anonymous',
+      outcome: determineLichessOutcome(game),
+      date: toISODate(game.lastMoveAt || game.createdAt),
+      startTime: game.createdAt,
+      endTime: game.lastMoveAt || game.createdAt,
+      url: `https://lichess.org/${game.id}`,
+      pgn: game.pgn,
+      source: 'lichess',
+      account: username,
+      accountId: getAccountId('lichess', username),
+      timeControl: game.clock
+        ? `${Math.floor(game.clock.initial / 60)}+${game.clock.increment}`
+        : `${game.daysPerTurn || '?'}d`,
+      clock: game.clock ? { initial: game.clock.initial, increment: game.clock.increment } : null,
+      speed: game.speed === 'ultraBullet' ? 'bullet' : game.speed,
+      rated: game.rated ? 1 : 0, // IndexedDB can't index booleans
+      variant: game.variant,
+      // Lichess 'timeout' means the opponent left, 'outoftime' is a flag
+      termination: game.status === 'timeout' ? 'abandoned' : normalizeTermination(game.status),
+      whiteElo: game.players.white.rating,
+      blackElo: game.players.black.rating,
+      whiteAccuracy: game.players.white.analysis?.accuracy ?? null,
+      blackAccuracy: game.players.black.analysis?.accuracy ?? null,
+      opening: game.opening?.eco,
+      openingName: game.opening?.name,
+      analysis: formatLichessAnalysis(game)
+    });
+}
+
+// Normalize the export's analysis (see moveAnalysis.js); null when lichess never analyzed the game
+function formatLichessAnalysis(game)
 {
-    const playerColor = game.players.white.user?.name === username ? 'white' : 'black';
-    const winner = game.winner;
+    if (!Array.isArray(game.analysis)) return null;
+
+    const moves = game.analysis.map((entry, index) => {
+      const judgment = entry.judgment?.name?.toLowerCase();
+      return {
+        ply: index + 1,
+        eval: entry.eval ?? null,
+        mate: entry.mate ?? null,
+        judgment: JUDGMENTS.includes(judgment) ? judgment : null,
+        best: entry.best ?? null,
+        // Clocks are centiseconds left after each ply
+        clock: game.clocks?.[index] != null ? game.clocks[index] / 100 : null
+      };
+    });
+
+    const formatSide = (color) => {
+      const sideAnalysis = game.players[color].analysis;
+      const counts = countJudgments(moves, color);
+      return {
+        accuracy: sideAnalysis?.accuracy ?? null,
+        acpl: sideAnalysis?.acpl ?? null,
+        inaccuracies: sideAnalysis?.inaccuracy ?? counts.inaccuracies,
+        mistakes: sideAnalysis?.mistake ?? counts.mistakes,
+        blunders: sideAnalysis?.blunder ?? counts.blunders
+      };
+    };
 
-    if (!winner) return 'Draw';
-    if (winner === playerColor) return 'Win';
-    return 'Loss';
-}
\ No newline at end of file
+    return { source: 'lichess', moves, white: formatSide('white'), black: formatSide('black') };
+}
+
+function determineLichessOutcome(game)
+{
+    if (game.winner === 'white') return '1-0';
+    if (game.winner === 'black') return '0-1';
+    // Aborted games have no winner but were never decided
+    if (game.status === 'aborted' || game.status === 'noStart') return null;
+    return '1/2-1/2';
+}
@@ -0,0 +1,117 @@
+// accountStorage.js - Account-specific database operations
+import { initDB, DB_CONSTANTS } from './dbService';
+import { publishChange } from './changeFeed';
+
+const { GAMES_STORE, ACCOUNTS_STORE } = DB_CONSTANTS;
+
+// Create account records for any accounts referenced by these games that don't exist yet
+export async function ensureAccounts(games, workspaceId) {
+  try {
+    const accounts = new Map();
+    games.forEach(game => {
+      if (game.accountId && !accounts.has(game.accountId)) {
+        accounts.set(game.accountId, { id: game.accountId, source: game.source, username: game.account });
+      }
+    });
+
+    const db = await initDB(workspaceId);
+    const tx = db.transaction(ACCOUNTS_STORE, 'readwrite');
+    await Promise.all([...accounts.values()].map(async account => {
+      const existing = await tx.store.get(account.id);
+      if (!existing) {
+        await tx.store.put({ ...account, createdAt: Date.now() });
+      }
+    }));
+    await tx.done;
+    return true;
+  } catch (error) {
+    console.error("Error saving accounts:", error);
+    throw new Error(`Failed to save accounts: ${error.message}`);
+  }
+}
+
+// Personal API tokens only live in this browser's IndexedDB and are only sent to the account's source.
+// Creates the account record when the account has no games yet.
+export async function saveAccountToken(accountId, source, username, token) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction(ACCOUNTS_STORE, 'readwrite');
+    const existing = await tx.store.get(accountId);
+    await tx.store.put({
+      ...(existing || { id: accountId, source, username, createdAt: Date.now() }),
+      token
+    });
+    await tx.done;
+    return true;
+  } catch (error) {
+    console.error(`Error saving token for ${accountId}:`, error);
+    throw new Error(`Failed to save API token: ${error.message}`);
+  }
+}
+
+export async function getAccountToken(accountId) {
+  try {
+    const db = await initDB();
+    const account = await db.get(ACCOUNTS_STORE, accountId);
+    return account?.token || null;
+  } catch (error) {
+    console.error(`Error getting token for ${accountId}:`, error);
+    return null;
+  }
+}
+
+// Removes a stored token (revoked, or no longer wanted), the account and its games stay
+export async function deleteAccountToken(accountId) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction(ACCOUNTS_STORE, 'readwrite');
+    const existing = await tx.store.get(accountId);
+    if (existing) {
+      const { token, ...account } = existing;
+      await tx.store.put(account);
+    }
+    await tx.done;
+    return true;
+  } catch (error) {
+    console.error(`Error deleting token for ${accountId}:`, error);
+    throw new Error(`Failed to delete API token: ${error.message}`);
+  }
+}
+
+// Ids of the accounts with a stored token, the tokens themselves stay in the database
+export async function getAccountIdsWithToken() {
+  try {
+    const db = await initDB();
+    const accounts = await db.getAll(ACCOUNTS_STORE);
+    return new Set(accounts.filter(account => account.token).map(account => account.id));
+  } catch (error) {
+    console.error("Error reading stored tokens:", error);
+    return new Set();
+  }
+}
+
+// Delete an account and all of its games, returns the number of games removed
+export async function deleteAccount(accountId) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([GAMES_STORE, ACCOUNTS_STORE], 'readwrite');
+
+    let deletedGames = 0;
+    let cursor = await tx.objectStore(GAMES_STORE).index('accountId').openCursor(accountId);
+    while (cursor) {
+      await cursor.delete();
+      deletedGames++;
+      cursor = await cursor.continue();
+    }
+
+    await tx.objectStore(ACCOUNTS_STORE).delete(accountId);
+    await tx.done;
+
+    console.log(`Deleted account ${accountId} with ${deletedGames} games`);
+    publishChange({ store: 'games', type: 'deleted', count: deletedGames });
+    return deletedGames;
+  } catch (error) {
+    console.error(`Error deleting account ${accountId}:`, error);
+    throw new Error(`Failed to delete account: ${error.message}`);
+  }
+}
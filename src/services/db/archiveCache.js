@@ -0,0 +1,40 @@
+// archiveCache.js - What was read of each chess.com monthly archive: its HTTP validators and the
+// URLs of its games. The games themselves are only kept in the games store.
+import { initDB, DB_CONSTANTS } from './dbService';
+
+const { ARCHIVES_STORE } = DB_CONSTANTS;
+
+export async function getCachedArchive(url) {
+  try {
+    const db = await initDB();
+    return (await db.get(ARCHIVES_STORE, url)) || null;
+  } catch (error) {
+    console.error(`Error reading cached archive ${url}:`, error);
+    return null;
+  }
+}
+
+// entry: { url, gameUrls, etag, lastModified, complete }
+export async function saveCachedArchive(entry) {
+  try {
+    const db = await initDB();
+    await db.put(ARCHIVES_STORE, { ...entry, cachedAt: Date.now() });
+    return true;
+  } catch (error) {
+    // A failed cache write only costs a re-download later
+    console.error(`Error caching archive ${entry.url}:`, error);
+    return false;
+  }
+}
+
+export async function clearArchiveCache() {
+  try {
+    const db = await initDB();
+    await db.clear(ARCHIVES_STORE);
+    console.log("Archive cache cleared successfully");
+    return true;
+  } catch (error) {
+    console.error("Error clearing archive cache:", error);
+    throw new Error(`Failed to clear archive cache: ${error.message}`);
+  }
+}
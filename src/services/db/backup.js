@@ -0,0 +1,207 @@
+// backup.js - Export and restore of all local data
+//
+// A backup is a single JSON file:
+// {
+//   format: 'chess-game-analyzer-backup',
+//   formatVersion,         layout of this file, see BACKUP_FORMAT_VERSION
+//   dbVersion,             database version the records were read at, migrated on restore
+//   createdAt,
+//   settings: { [localStorage key]: value },
+//   workspaceSettings,     settings of the workspace the backup was made in, restored into the active one
+//   stores: { [storeName]: records }
+// }
+// Personal API tokens are left out, they stay in the browser they were entered in (a restore,
+// even a replacing one, keeps them).
+import { initDB, DB_CONSTANTS } from './dbService';
+import { migrateRecords } from './migrations';
+import { ensureAccounts } from './accountStorage';
+import { loadWorkspaceSettings, saveWorkspaceSettings } from './workspaces';
+import { publishChange } from './changeFeed';
+
+const {
+  DB_VERSION,
+  GAMES_STORE,
+  ARCHIVES_STORE,
+  ACCOUNTS_STORE,
+  JOBS_STORE,
+  TREE_NODES_STORE,
+  TREE_GAMES_STORE,
+  TREE_META_STORE
+} = DB_CONSTANTS;
+
+export const BACKUP_FORMAT = 'chess-game-analyzer-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+const BACKUP_STORES = [
+  GAMES_STORE,
+  ARCHIVES_STORE,
+  ACCOUNTS_STORE,
+  JOBS_STORE,
+  TREE_NODES_STORE,
+  TREE_GAMES_STORE,
+  TREE_META_STORE
+];
+const TREE_STORES = [TREE_NODES_STORE, TREE_GAMES_STORE, TREE_META_STORE];
+const SETTINGS_KEYS = ['theme'];
+
+export async function createBackup() {
+  try {
+    const db = await initDB();
+    const tx = db.transaction(BACKUP_STORES);
+    const stores = {};
+    for (const storeName of BACKUP_STORES) {
+      stores[storeName] = await tx.objectStore(storeName).getAll();
+    }
+    await tx.done;
+
+    stores[ACCOUNTS_STORE] = stores[ACCOUNTS_STORE].map(({ token, ...account }) => account);
+
+    const settings = {};
+    SETTINGS_KEYS.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value !== null) {
+        settings[key] = value;
+      }
+    });
+
+    return {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      dbVersion: DB_VERSION,
+      createdAt: Date.now(),
+      settings,
+      workspaceSettings: loadWorkspaceSettings(),
+      stores
+    };
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    throw new Error(`Failed to create backup: ${error.message}`);
+  }
+}
+
+export async function downloadBackup() {
+  const backup = await createBackup();
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `chess-backup-${new Date(backup.createdAt).toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  return backup;
+}
+
+// Parses and validates a backup file, throws with a readable message if it can't be restored
+export async function readBackupFile(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error("The file is not a backup (invalid JSON)");
+  }
+  validateBackup(backup);
+  return backup;
+}
+
+export function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error("The file is not a backup of this app");
+  }
+  if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error("The backup was made by a newer version of the app");
+  }
+  if (!Number.isInteger(backup.dbVersion) || backup.dbVersion < 1) {
+    throw new Error("The backup has no valid database version");
+  }
+  if (backup.dbVersion > DB_VERSION) {
+    throw new Error(`The backup was made with database version ${backup.dbVersion}, newer than this app's ${DB_VERSION}`);
+  }
+  if (!backup.stores || typeof backup.stores !== 'object') {
+    throw new Error("The backup has no data");
+  }
+
+  Object.entries(backup.stores).forEach(([storeName, records]) => {
+    if (!BACKUP_STORES.includes(storeName)) {
+      throw new Error(`The backup has an unknown store "${storeName}"`);
+    }
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new Error(`The backup's ${storeName} data is malformed`);
+    }
+  });
+  return true;
+}
+
+// mode 'replace' empties every store first; 'merge' keeps local data, a backup record
+// replacing the local one with the same key. A merge changes the games the saved tree was
+// built from, so the tree is dropped and rebuilt instead of restored.
+// Resolves to the number of records restored per store.
+export async function restoreBackup(backup, { mode = 'merge' } = {}) {
+  validateBackup(backup);
+
+  try {
+    const db = await initDB();
+    const tx = db.transaction(BACKUP_STORES, 'readwrite');
+    const restored = {};
+    // The backup has no tokens: an account it replaces keeps the local one
+    const localTokens = new Map();
+
+    if (mode === 'replace') {
+      const accounts = await tx.objectStore(ACCOUNTS_STORE).getAll();
+      accounts.filter(account => account.token).forEach(account => localTokens.set(account.id, { token: account.token }));
+      await Promise.all(BACKUP_STORES.map(storeName => tx.objectStore(storeName).clear()));
+    } else {
+      await Promise.all(TREE_STORES.map(storeName => tx.objectStore(storeName).clear()));
+    }
+
+    for (const [storeName, records] of Object.entries(backup.stores)) {
+      if (mode !== 'replace' && TREE_STORES.includes(storeName)) continue;
+
+      const store = tx.objectStore(storeName);
+      const migrated = migrateRecords(storeName, records, backup.dbVersion);
+
+      // A record without its key would only fail inside put, name the store instead
+      if (migrated.some(record => record[store.keyPath] === undefined)) {
+        throw new Error(`${storeName} records without "${store.keyPath}"`);
+      }
+
+      await Promise.all(migrated.map(async record => {
+        const key = record[store.keyPath];
+        const existing = mode !== 'replace'
+          ? await store.get(key)
+          : (storeName === ACCOUNTS_STORE ? localTokens.get(key) : null);
+        // Keeps what the backup doesn't have, like a local API token
+        await store.put(existing ? { ...existing, ...record } : record);
+      }));
+      restored[storeName] = migrated.length;
+    }
+
+    await tx.done;
+
+    // Backups from before accounts were stored only have them on their games
+    if (backup.stores[GAMES_STORE]) {
+      await ensureAccounts(await db.getAll(GAMES_STORE));
+    }
+
+    Object.entries(backup.settings || {}).forEach(([key, value]) => {
+      if (SETTINGS_KEYS.includes(key)) {
+        localStorage.setItem(key, value);
+      }
+    });
+    if (backup.workspaceSettings) {
+      saveWorkspaceSettings(backup.workspaceSettings);
+    }
+
+    publishChange({ store: 'games', type: 'saved' });
+    publishChange({ store: 'tree', type: mode === 'replace' ? 'saved' : 'cleared' });
+
+    console.log(`Restored backup from ${new Date(backup.createdAt).toISOString()} (${mode}):`, restored);
+    return restored;
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    throw new Error(`Failed to restore backup: ${error.message}`);
+  }
+}
@@ -0,0 +1,91 @@
+// changeFeed.js - Notifications of database writes, within this tab and across tabs
+//
+// A change is { store, type, count? }: store is 'games' (games and accounts) or 'tree' (the saved tree),
+// type is 'saved', 'deleted' or 'cleared'. Writers publish after their transaction is done.
+// Listeners of this tab are called directly, other tabs (and workers) of the same workspace get it
+// through a BroadcastChannel. Listeners receive the change plus local: whether this tab made it.
+import { getActiveWorkspace } from './workspaces';
+
+const CHANNEL_PREFIX = 'chess-db-changes:';
+const DEFAULT_DELAY = 300;
+
+// Tells this tab's writes apart, including those its save worker makes on its behalf
+const CHANGE_ORIGIN = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const listeners = new Set();
+const channels = new Map();
+
+export function getChangeOrigin() {
+  return CHANGE_ORIGIN;
+}
+
+// options.workspaceId and options.origin are for code writing on another context's behalf
+// (another workspace, the save worker)
+export function publishChange(change, options = {}) {
+  const workspaceId = options.workspaceId || getActiveWorkspace().id;
+  const message = { ...change, workspaceId, origin: options.origin || CHANGE_ORIGIN, time: Date.now() };
+
+  if (isActiveWorkspace(workspaceId)) {
+    notifyListeners(message);
+  }
+  getChannel(workspaceId)?.postMessage(message);
+}
+
+// listener(changes) is called once per burst of changes to any of the stores, at most every delay ms.
+// Returns the function that unsubscribes.
+export function subscribeToChanges(stores, listener, { delay = DEFAULT_DELAY } = {}) {
+  let pending = [];
+  let timer = null;
+
+  const subscriber = (change) => {
+    if (!stores.includes(change.store)) return;
+    pending.push({ ...change, local: change.origin === CHANGE_ORIGIN });
+    if (timer) return;
+
+    timer = setTimeout(() => {
+      const changes = pending;
+      pending = [];
+      timer = null;
+      listener(changes);
+    }, delay);
+  };
+
+  listeners.add(subscriber);
+  // Receive what the other tabs of this workspace publish
+  getChannel(getActiveWorkspace().id);
+
+  return () => {
+    listeners.delete(subscriber);
+    clearTimeout(timer);
+  };
+}
+
+// Workers have no localStorage and no listeners, they only publish
+function isActiveWorkspace(workspaceId) {
+  return typeof localStorage !== 'undefined' && workspaceId === getActiveWorkspace().id;
+}
+
+function notifyListeners(change) {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error in database change listener:', error);
+    }
+  });
+}
+
+function getChannel(workspaceId) {
+  if (typeof BroadcastChannel === 'undefined') return null;
+
+  if (!channels.has(workspaceId)) {
+    const channel = new BroadcastChannel(CHANNEL_PREFIX + workspaceId);
+    channel.onmessage = ({ data }) => {
+      if (isActiveWorkspace(data.workspaceId)) {
+        notifyListeners(data);
+      }
+    };
+    channels.set(workspaceId, channel);
+  }
+  return channels.get(workspaceId);
+}
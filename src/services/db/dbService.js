@@ -1,30 +1,35 @@
 // dbService.js - Core database operations
 import { openDB } from 'idb';
+import {
+  LATEST_VERSION,
+  runMigrations,
+  GAMES_STORE,
+  ARCHIVES_STORE,
+  ACCOUNTS_STORE,
+  JOBS_STORE,
+  TREE_NODES_STORE,
+  TREE_GAMES_STORE,
+  TREE_META_STORE
+} from './migrations';
+import { getActiveWorkspace, getWorkspaceDbName, assertWorkspaceExists } from './workspaces';
 
-const DB_NAME = 'chess-games-db';
-const DB_VERSION = 1;
-const GAMES_STORE = 'games';
+// The version always follows the migrations list, see migrations.js to change the schema
+const DB_VERSION = LATEST_VERSION;
 
-export async function initDB() {
+// Opens the database of a workspace, this tab's active one by default (see workspaces.js).
+// Code without localStorage, like workers, has to pass the workspace id.
+// A deleted workspace isn't opened, that would create its database again.
+export async function initDB(workspaceId = getActiveWorkspace().id) {
   try {
-    const db = await openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        // Check if the store already exists to avoid errors on version change
-        if (!db.objectStoreNames.contains(GAMES_STORE)) {
-          const gamesStore = db.createObjectStore(GAMES_STORE, { keyPath: 'id' });
-          
-          // Create indexes for efficient querying
-          gamesStore.createIndex('date', 'date');
-          gamesStore.createIndex('source', 'source');
-          gamesStore.createIndex('account', 'account');
-          gamesStore.createIndex('timeControl', 'timeControl');
-          gamesStore.createIndex('opening', 'opening');
-          gamesStore.createIndex('whiteElo', 'whiteElo');
-          gamesStore.createIndex('blackElo', 'blackElo');
-          gamesStore.createIndex('result', 'result');
-          
-          console.log("Database schema created successfully");
-        }
+    assertWorkspaceExists(workspaceId);
+    const db = await openDB(getWorkspaceDbName(workspaceId), DB_VERSION, {
+      async upgrade(db, oldVersion, newVersion, transaction) {
+        console.log(`Upgrading database from version ${oldVersion} to ${newVersion}`);
+        await runMigrations(db, oldVersion, transaction);
+      },
+      // Let a workspace being deleted (or a newer version in another tab) proceed
+      blocking() {
+        db.close();
       }
     });
 
@@ -53,7 +58,12 @@ export async function clearStore(storeName = GAMES_STORE) {
 
 // Export constants for use in other files
 export const DB_CONSTANTS = {
-  DB_NAME,
   DB_VERSION,
-  GAMES_STORE
+  GAMES_STORE,
+  ARCHIVES_STORE,
+  ACCOUNTS_STORE,
+  JOBS_STORE,
+  TREE_NODES_STORE,
+  TREE_GAMES_STORE,
+  TREE_META_STORE
 };
\ No newline at end of file
@@ -0,0 +1,319 @@
+// gameQuery.js - Filtered, sorted and paginated reads of the games store
+//
+// A query is a plain object, every part optional:
+// {
+//   accountId, source, speed, result, opening, playerColor, variant, timeControl, rated, fingerprint
+//                                  a value, or an array of accepted values
+//   dateFrom, dateTo               'YYYY-MM-DD', inclusive (UTC, matched against endTime)
+//   playerElo, opponentElo         { min, max }, inclusive
+//   position                       FEN of a position the games went through (see positions.js)
+//   sortBy                         'endTime' (default), 'playerElo' or 'opponentElo'
+//   sortDirection                  'desc' (default) or 'asc'
+//   limit                          page size, Infinity for everything
+//   cursor                         nextCursor of the previous page
+//   byGame                         position and fingerprint queries only: limit and countGames count
+//                                  logical games (see fingerprint.js), a page has every stored copy of its games
+// }
+// Games without a value for the sort field (undated PGN imports, unknown Elo) come last.
+//
+// A query on a position or on fingerprints reads only those games, through the positions or
+// fingerprint index, and sorts them in memory: any numeric field (e.g. 'whiteElo', or 'avgElo')
+// can be its sortBy, and its cursor is the offset of the next page.
+import { initDB, DB_CONSTANTS } from './dbService';
+import { SORT_FIELDS } from '../utils/gameMetadata';
+import { normalizeFen } from '../utils/positions';
+import { groupByFingerprint } from '../utils/fingerprint';
+
+const { GAMES_STORE } = DB_CONSTANTS;
+
+const DEFAULT_PAGE_SIZE = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const EQUALITY_FIELDS = [
+  'accountId', 'source', 'speed', 'result', 'opening', 'playerColor', 'variant', 'timeControl', 'rated', 'fingerprint'
+];
+export { SORT_FIELDS };
+
+// Compound indexes ending in endTime, most selective first. The first one whose leading fields
+// all have a single value in the query serves it; everything else is checked per record.
+const ENDTIME_INDEXES = [
+  { name: 'accountId_speed_endTime', fields: ['accountId', 'speed'] },
+  { name: 'accountId_endTime', fields: ['accountId'] },
+  { name: 'speed_endTime', fields: ['speed'] },
+  { name: 'opening_endTime', fields: ['opening'] },
+  { name: 'endTime', fields: [] }
+];
+
+// Resolves to { games, nextCursor }; nextCursor is null on the last page
+export async function queryGames(query = {}) {
+  try {
+    const db = await initDB();
+    const limit = query.limit ?? DEFAULT_PAGE_SIZE;
+    const plan = planQuery(query);
+    const tx = db.transaction(GAMES_STORE);
+
+    if (plan.keys) {
+      const matching = (await readGamesByKeys(tx.store.index(plan.indexName), plan.keys, plan.query))
+        .sort(compareGames(query.sortBy, query.sortDirection));
+      // The copies of a game together, where its first copy is in the sort order
+      const entries = query.byGame ? [...groupByFingerprint(matching).values()] : matching.map(game => [game]);
+      const offset = query.cursor?.offset || 0;
+      return {
+        games: entries.slice(offset, offset + limit).flat(),
+        nextCursor: offset + limit < entries.length ? { phase: 'offset', offset: offset + limit } : null
+      };
+    }
+
+    const games = [];
+    let position = query.cursor || null;
+
+    // Games with a sort key, read from the index already in order
+    if (!position || position.phase === 'index') {
+      let cursor = await tx.store.index(plan.indexName).openCursor(plan.range, plan.direction);
+      if (cursor && position) {
+        cursor = await skipPast(cursor, position);
+      }
+
+      while (cursor && games.length < limit) {
+        if (matchesGameQuery(cursor.value, query)) {
+          games.push(cursor.value);
+          position = { phase: 'index', key: cursor.key, primaryKey: cursor.primaryKey };
+        }
+        cursor = await cursor.continue();
+      }
+
+      if (games.length >= limit) {
+        return { games, nextCursor: (cursor || plan.includesUnsorted) ? position : null };
+      }
+    }
+
+    // Games the index can't hold (no value for the sort field), in primary key order
+    if (plan.includesUnsorted) {
+      let cursor = await tx.store.index('missingSortFields').openCursor(plan.sortField);
+      if (cursor && position?.phase === 'unsorted') {
+        cursor = await skipPast(cursor, position);
+      }
+
+      while (cursor && games.length < limit) {
+        if (matchesGameQuery(cursor.value, query)) {
+          games.push(cursor.value);
+          position = { phase: 'unsorted', key: cursor.key, primaryKey: cursor.primaryKey };
+        }
+        cursor = await cursor.continue();
+      }
+
+      return { games, nextCursor: cursor && games.length >= limit ? position : null };
+    }
+
+    return { games, nextCursor: null };
+  } catch (error) {
+    console.error("Error querying games:", error);
+    throw new Error(`Failed to query games: ${error.message}`);
+  }
+}
+
+// Counted from the index keys alone when the index range is the whole query; otherwise only the
+// games in the range are read, one at a time
+export async function countGames(query = {}) {
+  try {
+    const db = await initDB();
+    const plan = planQuery(query);
+    const tx = db.transaction(GAMES_STORE);
+    if (plan.keys) {
+      const matching = await readGamesByKeys(tx.store.index(plan.indexName), plan.keys, plan.query);
+      return query.byGame ? groupByFingerprint(matching).size : matching.length;
+    }
+
+    const filters = getActiveFilters(query);
+
+    const index = tx.store.index(plan.indexName);
+    let count = filters.every(filter => plan.rangeFilters.includes(filter))
+      ? await index.count(plan.range)
+      : await countMatches(await index.openCursor(plan.range), query);
+
+    if (plan.includesUnsorted) {
+      const unsorted = tx.store.index('missingSortFields');
+      count += filters.length === 0
+        ? await unsorted.count(plan.sortField)
+        : await countMatches(await unsorted.openCursor(plan.sortField), query);
+    }
+    return count;
+  } catch (error) {
+    console.error("Error counting games:", error);
+    throw new Error(`Failed to count games: ${error.message}`);
+  }
+}
+
+export function matchesGameQuery(game, query = {}) {
+  for (const field of EQUALITY_FIELDS) {
+    const expected = query[field];
+    if (expected === undefined || expected === '') continue;
+    if (Array.isArray(expected) ? !expected.includes(game[field]) : game[field] !== expected) {
+      return false;
+    }
+  }
+
+  if (query.position && !game.positions?.includes(normalizeFen(query.position))) return false;
+
+  const { from, to } = getDateBounds(query);
+  if (from !== null && !(game.endTime >= from)) return false;
+  if (to !== null && !(game.endTime <= to)) return false;
+
+  for (const field of ['playerElo', 'opponentElo']) {
+    const { min, max } = query[field] || {};
+    if (isValidKey(min) && !(game[field] >= min)) return false;
+    if (isValidKey(max) && !(game[field] <= max)) return false;
+  }
+
+  return true;
+}
+
+// Missing values sort last in both directions, like the indexes
+export function compareGames(sortBy = 'endTime', sortDirection = 'desc') {
+  const sign = sortDirection === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const valueA = getSortValue(a, sortBy);
+    const valueB = getSortValue(b, sortBy);
+    if (!isValidKey(valueA)) return isValidKey(valueB) ? 1 : 0;
+    if (!isValidKey(valueB)) return -1;
+    return (valueA - valueB) * sign;
+  };
+}
+
+function getSortValue(game, sortBy) {
+  if (sortBy === 'endTime') {
+    // Tree summaries only carry the date
+    return game.endTime ?? (game.date ? Date.parse(game.date) : null);
+  }
+  if (sortBy === 'avgElo') {
+    return game.whiteElo && game.blackElo ? (Number(game.whiteElo) + Number(game.blackElo)) / 2 : null;
+  }
+  const value = game[sortBy];
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+function planQuery(query) {
+  // Only the games at a position, or with these fingerprints; the rest of the query is checked per game
+  if (query.position) {
+    return { indexName: 'positions', keys: [normalizeFen(query.position)], query: { ...query, position: undefined } };
+  }
+  if (Array.isArray(query.fingerprint) || isSingleValue(query.fingerprint)) {
+    return { indexName: 'fingerprint', keys: [].concat(query.fingerprint), query: { ...query, fingerprint: undefined } };
+  }
+
+  const sortBy = SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'endTime';
+  const direction = query.sortDirection === 'asc' ? 'next' : 'prev';
+
+  if (sortBy !== 'endTime') {
+    const { min, max } = query[sortBy] || {};
+    return {
+      indexName: sortBy,
+      sortField: sortBy,
+      direction,
+      range: createRange([], isValidKey(min) ? min : null, isValidKey(max) ? max : null),
+      rangeFilters: [sortBy],
+      includesUnsorted: !isValidKey(min) && !isValidKey(max)
+    };
+  }
+
+  const { from, to } = getDateBounds(query);
+  const index = ENDTIME_INDEXES.find(candidate => candidate.fields.every(field => isSingleValue(query[field])));
+
+  return {
+    indexName: index.name,
+    sortField: 'endTime',
+    direction,
+    range: createRange(index.fields.map(field => query[field]), from, to),
+    rangeFilters: [...index.fields, 'date'],
+    includesUnsorted: from === null && to === null
+  };
+}
+
+// The games under any of keys in index, that match query. One cursor jumps from key to key in order.
+async function readGamesByKeys(index, keys, query) {
+  const sortedKeys = [...new Set(keys)].sort((a, b) => indexedDB.cmp(a, b));
+  const games = [];
+  let next = 0;
+  let cursor = sortedKeys.length > 0
+    ? await index.openCursor(IDBKeyRange.bound(sortedKeys[0], sortedKeys[sortedKeys.length - 1]))
+    : null;
+
+  while (cursor) {
+    while (next < sortedKeys.length && indexedDB.cmp(sortedKeys[next], cursor.key) < 0) next++;
+    if (next === sortedKeys.length) break;
+
+    if (indexedDB.cmp(sortedKeys[next], cursor.key) === 0) {
+      if (matchesGameQuery(cursor.value, query)) games.push(cursor.value);
+      cursor = await cursor.continue();
+    } else {
+      cursor = await cursor.continue(sortedKeys[next]);
+    }
+  }
+  return games;
+}
+
+// The parts of a query that restrict it: equality fields, 'date' and Elo fields
+function getActiveFilters(query) {
+  const { from, to } = getDateBounds(query);
+  return [
+    ...EQUALITY_FIELDS.filter(field => query[field] !== undefined && query[field] !== ''),
+    ...(from !== null || to !== null ? ['date'] : []),
+    ...['playerElo', 'opponentElo'].filter(field =>
+      isValidKey(query[field]?.min) || isValidKey(query[field]?.max)
+    )
+  ];
+}
+
+async function countMatches(cursor, query) {
+  let count = 0;
+  while (cursor) {
+    if (matchesGameQuery(cursor.value, query)) count++;
+    cursor = await cursor.continue();
+  }
+  return count;
+}
+
+// Key range over [...prefix, sortKey] with optional bounds on the sort key
+function createRange(prefix, lower, upper) {
+  if (prefix.length === 0) {
+    if (lower !== null && upper !== null) return IDBKeyRange.bound(lower, upper);
+    if (lower !== null) return IDBKeyRange.lowerBound(lower);
+    if (upper !== null) return IDBKeyRange.upperBound(upper);
+    return null;
+  }
+  return IDBKeyRange.bound([...prefix, lower ?? -Infinity], [...prefix, upper ?? Infinity]);
+}
+
+function getDateBounds(query) {
+  const from = query.dateFrom ? Date.parse(`${query.dateFrom}T00:00:00Z`) : NaN;
+  const to = query.dateTo ? Date.parse(`${query.dateTo}T00:00:00Z`) + DAY - 1 : NaN;
+  return {
+    from: Number.isNaN(from) ? null : from,
+    to: Number.isNaN(to) ? null : to
+  };
+}
+
+// Move a freshly opened cursor just past the last record of the previous page
+async function skipPast(cursor, { key, primaryKey }) {
+  // < 0 while the cursor is still before the previous page's last record, in the cursor's direction
+  const compareToPosition = () => {
+    const sign = cursor.direction === 'prev' ? -1 : 1;
+    return sign * (indexedDB.cmp(cursor.key, key) || indexedDB.cmp(cursor.primaryKey, primaryKey));
+  };
+
+  if (compareToPosition() < 0) {
+    cursor = await cursor.continuePrimaryKey(key, primaryKey);
+  }
+  if (cursor && compareToPosition() === 0) {
+    cursor = await cursor.continue();
+  }
+  return cursor;
+}
+
+function isSingleValue(value) {
+  return (typeof value === 'string' && value !== '') || isValidKey(value);
+}
+
+function isValidKey(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
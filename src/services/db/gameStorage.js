@@ -1,65 +1,95 @@
 // gameStorage.js - Game-specific database operations
 import { initDB, DB_CONSTANTS } from './dbService';
+import { ensureAccounts } from './accountStorage';
+import { getAccountId } from '../utils/accounts';
+import { getGameFingerprint, groupByFingerprint } from '../utils/fingerprint';
+import { getGamePositions } from '../utils/positions';
+import { getMissingSortFields } from '../utils/gameMetadata';
+import { queryGames, matchesGameQuery } from './gameQuery';
+import { publishChange } from './changeFeed';
 
-const { GAMES_STORE } = DB_CONSTANTS;
+const { GAMES_STORE, ACCOUNTS_STORE } = DB_CONSTANTS;
 
-export async function saveGames(games, progressCallback) {
+const SAVE_BATCH_SIZE = 500;
+// Longest stretch of work before giving the UI a chance to render
+const SAVE_TIME_SLICE = 50;
+
+// Resolves to { inserted, updated, unchanged, failed: [{ id, reason }] }.
+// Each batch is one transaction: a batch that fails lists all of its games as failed
+// and the next batch is still attempted. progressCallback(percent) follows the games processed.
+// options.workspaceId saves into another workspace than the active one (see workspaces.js),
+// options.origin is the tab the change is published for (see changeFeed.js),
+// options.positionIndexPly indexes the positions of that many plies instead of the ones games come
+// with (another workspace's) or the default.
+export async function saveGames(newGames, progressCallback, options = {}) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, failed: [] };
+  if (!newGames || newGames.length === 0) {
+    console.warn("No games to save");
+    return result;
+  }
+  
   try {
-    if (!games || games.length === 0) {
-      console.warn("No games to save");
-      return false;
-    }
-    
-    const db = await initDB();
-    console.log(`Starting to save ${games.length} games to database`);
+    const db = await initDB(options.workspaceId);
+    console.log(`Starting to save ${newGames.length} games to database`);
     
-    // Process and save games in batches to avoid UI blocking
-    const BATCH_SIZE = 20; // Smaller batch size to prevent freezing
+    let processed = 0;
+    let sliceStart = Date.now();
     
-    let successCount = 0;
-    
-    for (let i = 0; i < games.length; i += BATCH_SIZE) {
+    for (let i = 0; i < newGames.length; i += SAVE_BATCH_SIZE) {
+      // Every game references its (source, username) account and the logical game it is a copy of,
+      // and lists the positions it went through and the sort fields it has no value for
+      const batch = newGames.slice(i, i + SAVE_BATCH_SIZE).map(game => ({
+        ...game,
+        accountId: game.accountId || getAccountId(game.source, game.account),
+        fingerprint: game.fingerprint || getGameFingerprint(game),
+        positions: options.positionIndexPly || !game.positions
+          ? getGamePositions(game.pgn, options.positionIndexPly)
+          : game.positions,
+        missingSortFields: getMissingSortFields(game)
+      }));
+      
+      const valid = batch.filter(game => {
+        if (game.id === undefined || game.id === null || game.id === '') {
+          result.failed.push({ id: null, reason: 'Game has no id' });
+          return false;
+        }
+        return true;
+      });
+      
       try {
-        // Create a new transaction for each batch
-        const tx = db.transaction(GAMES_STORE, 'readwrite');
-        const store = tx.store;
-        
-        const batch = games.slice(i, i + BATCH_SIZE);
-        
-        // Use Promise.all to wait for all put operations to complete
-        await Promise.all(batch.map(game => store.put(game)));
+        await ensureAccounts(valid, options.workspaceId);
         
-        // Wait for this transaction to complete
+        const tx = db.transaction(GAMES_STORE, 'readwrite');
+        const outcomes = await Promise.all(valid.map(async game => {
+          const existing = await tx.store.get(game.id);
+          if (existing && isSameRecord(existing, game)) return 'unchanged';
+          await tx.store.put(game);
+          return existing ? 'updated' : 'inserted';
+        }));
         await tx.done;
         
-        successCount += batch.length;
-        
-        // Calculate and report progress
-        const progress = Math.min(100, Math.round((i + BATCH_SIZE) / games.length * 100));
-        if (progressCallback) {
-          progressCallback(progress);
-        }
-        
-        // Logging to help diagnose any issues
-        if (i % 100 === 0 || i + BATCH_SIZE >= games.length) {
-          console.log(`Saved ${successCount}/${games.length} games to database`);
-        }
+        outcomes.forEach(outcome => result[outcome]++);
       } catch (batchError) {
         console.error(`Error saving batch starting at index ${i}:`, batchError);
-        
-        // Continue with the next batch despite errors
-        if (progressCallback) {
-          const progress = Math.min(100, Math.round((i + BATCH_SIZE) / games.length * 100));
-          progressCallback(progress);
-        }
+        valid.forEach(game => result.failed.push({ id: game.id, reason: batchError.message }));
       }
       
-      // Small delay to let UI render and prevent freezing
-      await new Promise(resolve => setTimeout(resolve, 50));
+      processed += batch.length;
+      if (progressCallback) {
+        progressCallback(Math.round(processed / newGames.length * 100));
+      }
+      
+      if (Date.now() - sliceStart > SAVE_TIME_SLICE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        sliceStart = Date.now();
+      }
     }
     
-    console.log(`Successfully saved ${successCount}/${games.length} games to database`);
-    return successCount > 0;
+    console.log(`Saved ${newGames.length} games: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged, ${result.failed.length} failed`);
+    if (result.inserted + result.updated > 0) {
+      publishChange({ store: 'games', type: 'saved', count: result.inserted + result.updated }, options);
+    }
+    return result;
   } catch (error) {
     console.error("Error in saveGames function:", error);
     throw new Error(`Failed to save games: ${error.message}`);
@@ -73,6 +103,10 @@ export async function getGames(filters = {}) {
     // If we have specific filters that match our indexes, use them
     if (filters.date) {
       return db.getAllFromIndex(GAMES_STORE, 'date', filters.date);
+    } else if (filters.accountId) {
+      return db.getAllFromIndex(GAMES_STORE, 'accountId', filters.accountId);
+    } else if (filters.fingerprint) {
+      return db.getAllFromIndex(GAMES_STORE, 'fingerprint', filters.fingerprint);
     } else if (filters.account) {
       return db.getAllFromIndex(GAMES_STORE, 'account', filters.account);
     } else if (filters.timeControl) {
@@ -105,11 +139,140 @@ export async function getGames(filters = {}) {
   }
 }
 
+// The stored games with these ids in the same order, or null when any of them isn't stored
+export async function getStoredGames(ids) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction(GAMES_STORE);
+    const games = await Promise.all(ids.map(id => tx.store.get(id)));
+    return games.every(Boolean) ? games : null;
+  } catch (error) {
+    console.error("Error reading stored games:", error);
+    return null;
+  }
+}
+
+// Returns the end timestamp (ms) of the newest stored game for an account, or null if none
+export async function getLatestGameTime(source, account) {
+  try {
+    const db = await initDB();
+    const accountId = getAccountId(source, account);
+    const range = IDBKeyRange.bound([accountId, -Infinity], [accountId, Infinity]);
+    const cursor = await db
+      .transaction(GAMES_STORE)
+      .store.index('accountId_endTime')
+      .openCursor(range, 'prev');
+
+    return cursor ? cursor.value.endTime : null;
+  } catch (error) {
+    console.error(`Error getting latest game for ${source} (${account}):`, error);
+    return null;
+  }
+}
+
+// deleteGames refuses a query without one of these, clearGames is the way to delete everything
+const DELETE_CRITERIA = ['accountId', 'source', 'dateFrom', 'dateTo'];
+
+// Delete the games matching a game query (see gameQuery.js), e.g. { source } or { accountId, dateTo }.
+// Accounts left without games are removed with them. Resolves to the number of games deleted.
+export async function deleteGames(query) {
+  if (!DELETE_CRITERIA.some(field => query[field])) {
+    throw new Error("Choose an account, a source or a date range to delete");
+  }
+
+  try {
+    const db = await initDB();
+    const tx = db.transaction([GAMES_STORE, ACCOUNTS_STORE], 'readwrite');
+    const gamesStore = tx.objectStore(GAMES_STORE);
+
+    let cursor;
+    if (typeof query.accountId === 'string' && query.accountId) {
+      cursor = await gamesStore.index('accountId').openCursor(query.accountId);
+    } else if (typeof query.source === 'string' && query.source) {
+      cursor = await gamesStore.index('source').openCursor(query.source);
+    } else {
+      cursor = await gamesStore.openCursor();
+    }
+
+    let deletedGames = 0;
+    const affectedAccounts = new Set();
+    while (cursor) {
+      if (matchesGameQuery(cursor.value, query)) {
+        affectedAccounts.add(cursor.value.accountId);
+        await cursor.delete();
+        deletedGames++;
+      }
+      cursor = await cursor.continue();
+    }
+
+    for (const accountId of affectedAccounts) {
+      if (accountId && (await gamesStore.index('accountId').count(accountId)) === 0) {
+        await tx.objectStore(ACCOUNTS_STORE).delete(accountId);
+      }
+    }
+    await tx.done;
+
+    console.log(`Deleted ${deletedGames} games matching`, query);
+    if (deletedGames > 0) {
+      publishChange({ store: 'games', type: 'deleted', count: deletedGames });
+    }
+    return deletedGames;
+  } catch (error) {
+    console.error("Error deleting games:", error);
+    throw new Error(`Failed to delete games: ${error.message}`);
+  }
+}
+
+// Indexes the positions of every stored game again, up to maxPly plies: after the workspace's
+// setting changed (see positions.js). One transaction per batch, the moves are replayed between
+// them. progressCallback(percent) follows the games processed. Resolves to the number of games.
+export async function reindexPositions(maxPly, progressCallback) {
+  try {
+    const db = await initDB();
+    const total = await db.count(GAMES_STORE);
+    let processed = 0;
+    let lastId = null;
+    
+    for (;;) {
+      const range = lastId === null ? null : IDBKeyRange.lowerBound(lastId, true);
+      const games = await db.getAll(GAMES_STORE, range, SAVE_BATCH_SIZE);
+      if (games.length === 0) break;
+      
+      const positions = new Map(games.map(game => [game.id, getGamePositions(game.pgn, maxPly)]));
+      const tx = db.transaction(GAMES_STORE, 'readwrite');
+      // Read again in the transaction, a save since the batch was read is kept
+      await Promise.all([...positions].map(async ([id, gamePositions]) => {
+        const game = await tx.store.get(id);
+        if (game) await tx.store.put({ ...game, positions: gamePositions });
+      }));
+      await tx.done;
+      
+      lastId = games[games.length - 1].id;
+      processed += games.length;
+      if (progressCallback) {
+        progressCallback(Math.round(processed / total * 100));
+      }
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    console.log(`Re-indexed the positions of ${processed} games up to ply ${maxPly}`);
+    if (processed > 0) {
+      publishChange({ store: 'games', type: 'saved', count: processed });
+    }
+    return processed;
+  } catch (error) {
+    console.error("Error re-indexing positions:", error);
+    throw new Error(`Failed to re-index positions: ${error.message}`);
+  }
+}
+
 export async function clearGames() {
   try {
     const db = await initDB();
     await db.clear(GAMES_STORE);
+    await db.clear(ACCOUNTS_STORE);
     console.log("Database cleared successfully");
+    publishChange({ store: 'games', type: 'cleared' });
     return true;
   } catch (error) {
     console.error("Error clearing database:", error);
@@ -117,23 +280,41 @@ export async function clearGames() {
   }
 }
 
-export async function getGameStats(upToMove = null) {
+// Stats over the games matching a query (see gameQuery.js), all games by default
+export async function getGameStats(query = {}) {
   try {
-    const db = await initDB();
-    const games = await db.getAll(GAMES_STORE);
+    const { games: records } = await queryGames({ ...query, cursor: null, limit: Infinity });
+    // A game between two tracked accounts is stored twice: count it once,
+    // but keep both perspectives in the result stats
+    const games = [...groupByFingerprint(records).values()].map(copies => copies[0]);
     
     // Basic stats
     const stats = {
       totalGames: games.length,
+      totalRecords: records.length,
       resultDistribution: {
-        wins: games.filter(g => g.result === 'Win').length,
-        losses: games.filter(g => g.result === 'Loss').length,
-        draws: games.filter(g => g.result === 'Draw').length
+        wins: records.filter(g => g.result === 'Win').length,
+        losses: records.filter(g => g.result === 'Loss').length,
+        draws: records.filter(g => g.result === 'Draw').length
+      },
+      resultsByColor: {
+        white: { wins: 0, losses: 0, draws: 0 },
+        black: { wins: 0, losses: 0, draws: 0 }
       },
       openingFrequency: {},
       timeControlDistribution: {},
     };
     
+    // Results from the side each account played
+    records.forEach(game => {
+      const colorStats = stats.resultsByColor[game.playerColor];
+      if (colorStats) {
+        if (game.result === 'Win') colorStats.wins++;
+        else if (game.result === 'Loss') colorStats.losses++;
+        else if (game.result === 'Draw') colorStats.draws++;
+      }
+    });
+    
     // Calculate more complex stats
     games.forEach(game => {
       // Count openings
@@ -153,9 +334,29 @@ export async function getGameStats(upToMove = null) {
     console.error("Error getting game stats:", error);
     return {
       totalGames: 0,
+      totalRecords: 0,
       resultDistribution: { wins: 0, losses: 0, draws: 0 },
+      resultsByColor: {
+        white: { wins: 0, losses: 0, draws: 0 },
+        black: { wins: 0, losses: 0, draws: 0 }
+      },
       openingFrequency: {},
       timeControlDistribution: {}
     };
   }
-}
\ No newline at end of file
+}
+
+// Deep comparison of stored records, ignoring properties set to undefined
+function isSameRecord(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  return keysA.length === keysB.length && keysA.every(key => isSameRecord(a[key], b[key]));
+}
@@ -0,0 +1,33 @@
+// jobStorage.js - Persisted fetch jobs and their checkpoints
+import { initDB, DB_CONSTANTS } from './dbService';
+
+const { JOBS_STORE } = DB_CONSTANTS;
+
+export async function saveJob(job) {
+  try {
+    const db = await initDB();
+    const updatedJob = { ...job, updatedAt: Date.now() };
+    await db.put(JOBS_STORE, updatedJob);
+    return updatedJob;
+  } catch (error) {
+    console.error(`Error saving job ${job.id}:`, error);
+    throw new Error(`Failed to save job: ${error.message}`);
+  }
+}
+
+// A job still marked as running when the app starts was interrupted (tab closed or reloaded)
+export async function getInterruptedJob() {
+  try {
+    const db = await initDB();
+    const runningJobs = await db.getAllFromIndex(JOBS_STORE, 'status', 'running');
+    if (runningJobs.length === 0) return null;
+    return runningJobs.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  } catch (error) {
+    console.error("Error getting interrupted job:", error);
+    return null;
+  }
+}
+
+export async function finishJob(job, status) {
+  return saveJob({ ...job, status, finishedAt: Date.now() });
+}
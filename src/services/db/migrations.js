@@ -0,0 +1,287 @@
+// migrations.js - Ordered IndexedDB schema migrations
+//
+// Every schema change is a new entry at the end of MIGRATIONS, never an edit of an old one.
+// A migration is:
+// {
+//   version,                  strictly increasing, the database version it upgrades to
+//   description,
+//   schema(db, transaction),  optional: create/delete stores and indexes
+//   records: {                optional: rewrite existing records, per store.
+//     [storeName]: record => record    Returns the record to store (the same object when unchanged).
+//   },                        Must be pure, so the same rewrite can be applied outside the database.
+//   afterRecords(transaction) optional, async: anything that needs more than one record at a time
+// }
+import { getAccountId } from '../utils/accounts';
+import { applyPlayerPerspective } from '../utils/perspective';
+import { getMetadataFromHeaders, getMissingSortFields, toISODate } from '../utils/gameMetadata';
+import { parsePgnHeaders, getPgnEndTime } from '../utils/pgn';
+import { getMoveTimes } from '../utils/pgnAnnotations';
+import { getGameFingerprint } from '../utils/fingerprint';
+import { getGamePositions } from '../utils/positions';
+
+export const GAMES_STORE = 'games';
+export const ARCHIVES_STORE = 'archives';
+export const ACCOUNTS_STORE = 'accounts';
+export const JOBS_STORE = 'jobs';
+export const TREE_NODES_STORE = 'treeNodes';
+export const TREE_GAMES_STORE = 'treeGames';
+export const TREE_META_STORE = 'treeMeta';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'games store',
+    schema(db) {
+      const gamesStore = db.createObjectStore(GAMES_STORE, { keyPath: 'id' });
+
+      // Create indexes for efficient querying
+      gamesStore.createIndex('date', 'date');
+      gamesStore.createIndex('source', 'source');
+      gamesStore.createIndex('account', 'account');
+      gamesStore.createIndex('timeControl', 'timeControl');
+      gamesStore.createIndex('opening', 'opening');
+      gamesStore.createIndex('whiteElo', 'whiteElo');
+      gamesStore.createIndex('blackElo', 'blackElo');
+      gamesStore.createIndex('result', 'result');
+    }
+  },
+  {
+    version: 2,
+    description: 'exact end timestamps, used to find the newest game per account',
+    schema(db, transaction) {
+      transaction.objectStore(GAMES_STORE).createIndex('source_account_endTime', ['source', 'account', 'endTime']);
+    },
+    records: {
+      // Backfill endTime for games stored before it existed (day precision only)
+      [GAMES_STORE]: (game) => {
+        if (game.endTime !== undefined) return game;
+        const time = new Date(game.dateObject || game.date).getTime();
+        return Number.isNaN(time) ? game : { ...game, endTime: time };
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'cache of downloaded chess.com monthly archives, keyed by archive URL',
+    schema(db) {
+      db.createObjectStore(ARCHIVES_STORE, { keyPath: 'url' });
+    }
+  },
+  {
+    version: 4,
+    description: 'accounts keyed by (source, username), games reference them by accountId',
+    schema(db, transaction) {
+      const accountsStore = db.createObjectStore(ACCOUNTS_STORE, { keyPath: 'id' });
+      accountsStore.createIndex('source', 'source');
+
+      const gamesStore = transaction.objectStore(GAMES_STORE);
+      gamesStore.deleteIndex('source_account_endTime');
+      gamesStore.createIndex('accountId', 'accountId');
+      gamesStore.createIndex('accountId_endTime', ['accountId', 'endTime']);
+    },
+    records: {
+      [GAMES_STORE]: (game) => {
+        const accountId = getAccountId(game.source, game.account);
+        return game.accountId === accountId ? game : { ...game, accountId };
+      }
+    },
+    // Create the account records of the existing games
+    async afterRecords(transaction) {
+      const accountsStore = transaction.objectStore(ACCOUNTS_STORE);
+      let cursor = await transaction.objectStore(GAMES_STORE).openCursor();
+      while (cursor) {
+        const game = cursor.value;
+        if (!(await accountsStore.get(game.accountId))) {
+          await accountsStore.put({ id: game.accountId, source: game.source, username: game.account, createdAt: Date.now() });
+        }
+        cursor = await cursor.continue();
+      }
+    }
+  },
+  {
+    // chess.com games used to store the white player's result for every account
+    version: 5,
+    description: 'player perspective (playerColor, opponent, Elos) and a corrected result',
+    schema(db, transaction) {
+      const gamesStore = transaction.objectStore(GAMES_STORE);
+      gamesStore.createIndex('playerColor', 'playerColor');
+      gamesStore.createIndex('opponent', 'opponent');
+    },
+    records: {
+      [GAMES_STORE]: (game) => applyPlayerPerspective(game)
+    }
+  },
+  {
+    version: 6,
+    description: 'speed class, rated, variant and termination, indexed for filtering',
+    schema(db, transaction) {
+      const gamesStore = transaction.objectStore(GAMES_STORE);
+      gamesStore.createIndex('endTime', 'endTime');
+      gamesStore.createIndex('speed', 'speed');
+      gamesStore.createIndex('rated', 'rated');
+      gamesStore.createIndex('variant', 'variant');
+      gamesStore.createIndex('termination', 'termination');
+    },
+    records: {
+      // Older games only have their PGN headers to recover these from
+      [GAMES_STORE]: (game) => {
+        if (game.speed !== undefined || !game.pgn) return game;
+        const metadata = getMetadataFromHeaders(parsePgnHeaders(game.pgn), game.pgn);
+        return {
+          ...game,
+          ...metadata,
+          // Keep the stored label if the PGN has no usable TimeControl
+          timeControl: metadata.timeControl || game.timeControl,
+          date: game.endTime ? toISODate(game.endTime) : game.date
+        };
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'per-move clock and time spent parsed from [%clk] comments',
+    records: {
+      [GAMES_STORE]: (game) => {
+        if (game.moveTimes || !game.pgn) return game;
+        return { ...game, moveTimes: getMoveTimes(game.pgn, game.clock) };
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'fetch jobs with per-account checkpoints, so an interrupted import can resume',
+    schema(db) {
+      const jobsStore = db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+      jobsStore.createIndex('status', 'status');
+    }
+  },
+  {
+    version: 9,
+    description: 'canonical fingerprint linking the copies of a game stored for different accounts',
+    schema(db, transaction) {
+      transaction.objectStore(GAMES_STORE).createIndex('fingerprint', 'fingerprint');
+    },
+    records: {
+      [GAMES_STORE]: (game) => game.fingerprint ? game : { ...game, fingerprint: getGameFingerprint(game) }
+    }
+  },
+  {
+    version: 10,
+    description: 'compound and Elo indexes for game queries (see gameQuery.js)',
+    schema(db, transaction) {
+      const gamesStore = transaction.objectStore(GAMES_STORE);
+      gamesStore.createIndex('accountId_speed_endTime', ['accountId', 'speed', 'endTime']);
+      gamesStore.createIndex('speed_endTime', ['speed', 'endTime']);
+      gamesStore.createIndex('opening_endTime', ['opening', 'endTime']);
+      gamesStore.createIndex('playerElo', 'playerElo');
+      gamesStore.createIndex('opponentElo', 'opponentElo');
+    }
+  },
+  {
+    version: 11,
+    description: 'saved variation tree, one record per node (see treeStorage.js)',
+    schema(db) {
+      const nodesStore = db.createObjectStore(TREE_NODES_STORE, { keyPath: 'id' });
+      nodesStore.createIndex('parentId', 'parentId');
+      db.createObjectStore(TREE_GAMES_STORE, { keyPath: 'fingerprint' });
+      db.createObjectStore(TREE_META_STORE, { keyPath: 'id' });
+    }
+  },
+  {
+    version: 12,
+    description: 'positions each game went through, to find games by position whatever the move order',
+    schema(db, transaction) {
+      transaction.objectStore(GAMES_STORE).createIndex('positions', 'positions', { multiEntry: true });
+    },
+    records: {
+      [GAMES_STORE]: (game) => game.positions ? game : { ...game, positions: getGamePositions(game.pgn) }
+    }
+  },
+  {
+    version: 13,
+    description: 'sort fields each game has no value for, to page and count those games without a scan',
+    schema(db, transaction) {
+      transaction.objectStore(GAMES_STORE).createIndex('missingSortFields', 'missingSortFields', { multiEntry: true });
+    },
+    records: {
+      [GAMES_STORE]: (game) => ({ ...game, missingSortFields: getMissingSortFields(game) })
+    }
+  },
+  {
+    version: 14,
+    description: 'exact end times from the PGN headers where version 2 only had the date',
+    records: {
+      // A day-precision endTime made the first sync fetch the whole last stored day again
+      [GAMES_STORE]: (game) => {
+        const dateOnly = game.endTime === undefined || game.endTime === new Date(game.dateObject || game.date).getTime();
+        const endTime = dateOnly && game.pgn ? getPgnEndTime(parsePgnHeaders(game.pgn)) : null;
+        if (endTime === null || endTime === game.endTime) return game;
+
+        const updated = { ...game, endTime };
+        return { ...updated, missingSortFields: getMissingSortFields(updated) };
+      }
+    }
+  },
+  {
+    version: 15,
+    description: 'archive cache entries keep the URLs of their games instead of the games',
+    records: {
+      [ARCHIVES_STORE]: ({ games, ...entry }) => entry.gameUrls ? entry : { ...entry, gameUrls: (games || []).map(game => game.url) }
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs inside openDB's upgrade callback, in the version change transaction: every migration
+// newer than oldVersion, in order. idb doesn't wait for the callback, so an error aborts the
+// transaction here: openDB rejects and the database keeps its old version and records.
+// migrations defaults to MIGRATIONS, tests pass their own lists.
+export async function runMigrations(db, oldVersion, transaction, migrations = MIGRATIONS) {
+  try {
+    for (const migration of migrations) {
+      if (migration.version <= oldVersion) continue;
+
+      if (migration.schema) {
+        migration.schema(db, transaction);
+      }
+
+      for (const [storeName, migrateRecord] of Object.entries(migration.records || {})) {
+        let cursor = await transaction.objectStore(storeName).openCursor();
+        while (cursor) {
+          const updated = migrateRecord(cursor.value);
+          if (updated !== cursor.value) {
+            await cursor.update(updated);
+          }
+          cursor = await cursor.continue();
+        }
+      }
+
+      if (migration.afterRecords) {
+        await migration.afterRecords(transaction);
+      }
+
+      console.log(`Database migrated to version ${migration.version}: ${migration.description}`);
+    }
+  } catch (error) {
+    console.error('Database migration failed:', error);
+    // openDB rejects with the abort, transaction.done needn't too
+    transaction.done.catch(() => {});
+    transaction.abort();
+  }
+}
+
+// The record rewrites of every migration newer than fromVersion, applied to records read
+// outside the database (e.g. from a backup made by an older version of the app)
+export function migrateRecords(storeName, records, fromVersion, migrations = MIGRATIONS) {
+  return migrations
+    .filter(migration => migration.version > fromVersion && migration.records?.[storeName])
+    .reduce((migrated, migration) => migrated.map(migration.records[storeName]), records);
+}
+
+// Catch a misordered entry at startup rather than with a half-applied upgrade
+MIGRATIONS.forEach((migration, index) => {
+  if (index > 0 && migration.version <= MIGRATIONS[index - 1].version) {
+    throw new Error(`Migration ${migration.version} is out of order`);
+  }
+});
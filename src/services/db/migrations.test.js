@@ -0,0 +1,184 @@
+import 'fake-indexeddb/auto';
+import { openDB } from 'idb';
+import { MIGRATIONS, LATEST_VERSION, runMigrations, migrateRecords, GAMES_STORE, ACCOUNTS_STORE } from './migrations';
+import { initDB } from './dbService';
+import { createWorkspace, getWorkspaceDbName } from './workspaces';
+
+const PGN = `[Event "Live Chess"]
+[Site "Chess.com"]
+[White "Alice"]
+[Black "bob"]
+[Result "0-1"]
+[UTCDate "2024.03.05"]
+[UTCTime "18:20:00"]
+[TimeControl "180+2"]
+[EndDate "2024.03.05"]
+[EndTime "18:25:03"]
+[Termination "bob won by resignation"]
+
+1. e4 {[%clk 0:03:00]} 1... e5 {[%clk 0:02:59]} 2. Nf3 {[%clk 0:02:58]} 0-1`;
+
+// A game as the first version of the app stored it
+const V1_GAME = {
+  id: 'https://www.chess.com/game/live/1-bob',
+  white: 'Alice',
+  black: 'bob',
+  result: 'Win',
+  date: '3/5/2024',
+  url: 'https://www.chess.com/game/live/1',
+  pgn: PGN,
+  source: 'chess.com',
+  account: 'bob',
+  timeControl: '3+2',
+  whiteElo: 1500,
+  blackElo: 1520
+};
+
+let nextDbId = 0;
+const uniqueName = () => `migrations-test-${nextDbId++}`;
+
+async function openWith(name, version, migrations) {
+  return openDB(name, version, {
+    async upgrade(db, oldVersion, newVersion, transaction) {
+      await runMigrations(db, oldVersion, transaction, migrations);
+    }
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runMigrations', () => {
+  test('upgrades a version 1 database to the latest version, rewriting existing games', async () => {
+    const workspaceId = createWorkspace(uniqueName()).id;
+    const v1 = await openWith(getWorkspaceDbName(workspaceId), 1, MIGRATIONS.slice(0, 1));
+    await v1.put(GAMES_STORE, V1_GAME);
+    v1.close();
+
+    const db = await initDB(workspaceId);
+    expect(db.version).toBe(LATEST_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual(
+      ['accounts', 'archives', 'games', 'jobs', 'treeGames', 'treeMeta', 'treeNodes']
+    );
+
+    const game = await db.get(GAMES_STORE, V1_GAME.id);
+    expect(game).toMatchObject({
+      accountId: 'chess.com:bob',
+      playerColor: 'black',
+      opponent: 'Alice',
+      playerElo: 1520,
+      result: 'Win',
+      speed: 'blitz',
+      missingSortFields: []
+    });
+    expect(game.endTime).toBe(Date.UTC(2024, 2, 5, 18, 25, 3));
+    expect(game.fingerprint).toEqual(expect.any(String));
+    expect(game.moveTimes.length).toBe(3);
+    expect(game.positions.length).toBe(4);
+
+    expect(await db.get(ACCOUNTS_STORE, 'chess.com:bob')).toMatchObject({ source: 'chess.com', username: 'bob' });
+    expect(await db.getAllFromIndex(GAMES_STORE, 'accountId', 'chess.com:bob')).toHaveLength(1);
+    db.close();
+  });
+
+  test('runs only the newer migrations, in order', async () => {
+    const name = uniqueName();
+    const calls = [];
+    const step = (version) => ({
+      version,
+      description: `step ${version}`,
+      schema() {
+        calls.push(`schema ${version}`);
+      },
+      records: {
+        items: (item) => {
+          calls.push(`records ${version}`);
+          return { ...item, steps: [...item.steps, version] };
+        }
+      },
+      async afterRecords() {
+        calls.push(`after ${version}`);
+      }
+    });
+    const migrations = [
+      { version: 1, description: 'items', schema: (db) => db.createObjectStore('items', { keyPath: 'id' }) },
+      step(2),
+      step(3)
+    ];
+
+    const v1 = await openWith(name, 1, migrations.slice(0, 1));
+    await v1.put('items', { id: 1, steps: [] });
+    v1.close();
+
+    const db = await openWith(name, 3, migrations);
+    expect(calls).toEqual(['schema 2', 'records 2', 'after 2', 'schema 3', 'records 3', 'after 3']);
+    expect(await db.get('items', 1)).toEqual({ id: 1, steps: [2, 3] });
+    db.close();
+  });
+
+  test('a failing migration aborts the whole upgrade', async () => {
+    const name = uniqueName();
+    const migrations = [
+      { version: 1, description: 'items', schema: (db) => db.createObjectStore('items', { keyPath: 'id' }) },
+      {
+        version: 2,
+        description: 'rewrite and new store',
+        schema: (db) => db.createObjectStore('other', { keyPath: 'id' }),
+        records: { items: (item) => ({ ...item, migrated: true }) }
+      },
+      {
+        version: 3,
+        description: 'broken',
+        records: {
+          items: (item) => {
+            if (item.id === 2) throw new Error('bad record');
+            return item;
+          }
+        }
+      }
+    ];
+
+    const v1 = await openWith(name, 1, migrations.slice(0, 1));
+    await v1.put('items', { id: 1 });
+    await v1.put('items', { id: 2 });
+    v1.close();
+
+    await expect(openWith(name, 3, migrations)).rejects.toThrow();
+
+    const db = await openDB(name);
+    expect(db.version).toBe(1);
+    expect([...db.objectStoreNames]).toEqual(['items']);
+    expect(await db.getAll('items')).toEqual([{ id: 1 }, { id: 2 }]);
+    db.close();
+  });
+});
+
+describe('migrateRecords', () => {
+  test('applies the record rewrites newer than the given version', () => {
+    const [game] = migrateRecords(GAMES_STORE, [V1_GAME], 1);
+    expect(game).toMatchObject({ accountId: 'chess.com:bob', playerColor: 'black', speed: 'blitz' });
+    expect(game.fingerprint).toEqual(expect.any(String));
+    expect(game.positions.length).toBe(4);
+  });
+
+  test('leaves records of the latest version and stores without rewrites alone', () => {
+    const records = [{ id: 1 }];
+    expect(migrateRecords(GAMES_STORE, records, LATEST_VERSION)).toBe(records);
+    expect(migrateRecords(ACCOUNTS_STORE, records, 1)).toBe(records);
+  });
+
+  test('follows the order of the list', () => {
+    const migrations = [
+      { version: 2, records: { items: (item) => ({ ...item, value: item.value + 1 }) } },
+      { version: 3, records: { items: (item) => ({ ...item, value: item.value * 10 }) } }
+    ];
+    expect(migrateRecords('items', [{ value: 1 }], 1, migrations)).toEqual([{ value: 20 }]);
+    expect(migrateRecords('items', [{ value: 1 }], 2, migrations)).toEqual([{ value: 10 }]);
+  });
+});
@@ -0,0 +1,18 @@
+// saveGames.worker.js - Runs saveGames off the main thread, see saveGamesInWorker.js
+/* eslint-env es2020 */
+import { saveGames } from './gameStorage';
+
+// The worker's global scope
+const ctx = globalThis;
+
+ctx.onmessage = async ({ data }) => {
+  const { requestId, games, options } = data;
+  try {
+    const result = await saveGames(games, progress => {
+      ctx.postMessage({ requestId, type: 'progress', progress });
+    }, options);
+    ctx.postMessage({ requestId, type: 'done', result });
+  } catch (error) {
+    ctx.postMessage({ requestId, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,87 @@
+// saveGamesInWorker.js - saveGames in a Web Worker, so normalizing and writing large imports
+// doesn't block the UI
+//
+// Same arguments and result as saveGames. Saves run on the main thread instead where workers
+// aren't available or the worker fails.
+import { saveGames } from './gameStorage';
+import { getActiveWorkspace, assertWorkspaceExists, getPositionIndexPly } from './workspaces';
+import { getChangeOrigin } from './changeFeed';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+// requestId -> { games, progressCallback, saveOptions, resolve, reject }
+const pendingSaves = new Map();
+
+export function saveGamesInWorker(games, progressCallback, options = {}) {
+  // The worker has no localStorage to find the active workspace and its settings in, and
+  // publishes its changes as made by this tab
+  const workspaceId = options.workspaceId || getActiveWorkspace().id;
+  const saveOptions = {
+    workspaceId,
+    origin: getChangeOrigin(),
+    positionIndexPly: getPositionIndexPly(workspaceId),
+    ...options
+  };
+  // The worker only hears of the workspaces deleted since it started
+  try {
+    assertWorkspaceExists(saveOptions.workspaceId);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (typeof Worker === 'undefined' || workerFailed) {
+    return saveGames(games, progressCallback, saveOptions);
+  }
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pendingSaves.set(requestId, { games, progressCallback, saveOptions, resolve, reject });
+    try {
+      getWorker().postMessage({ requestId, games, options: saveOptions });
+    } catch (error) {
+      // Games that can't be cloned into the worker can still be saved here
+      pendingSaves.delete(requestId);
+      saveGames(games, progressCallback, saveOptions).then(resolve, reject);
+    }
+  });
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./saveGames.worker.js', import.meta.url));
+
+  worker.onmessage = ({ data }) => {
+    const save = pendingSaves.get(data.requestId);
+    if (!save) return;
+
+    if (data.type === 'progress') {
+      save.progressCallback?.(data.progress);
+      return;
+    }
+
+    pendingSaves.delete(data.requestId);
+    if (data.type === 'done') {
+      save.resolve(data.result);
+    } else {
+      save.reject(new Error(data.message));
+    }
+  };
+
+  // The worker didn't load or crashed: saving the same games again is harmless
+  worker.onerror = (event) => {
+    console.error('Save worker failed, saving on the main thread:', event.message);
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+
+    const saves = [...pendingSaves.values()];
+    pendingSaves.clear();
+    saves.forEach(({ games, progressCallback, saveOptions, resolve, reject }) => {
+      saveGames(games, progressCallback, saveOptions).then(resolve, reject);
+    });
+  };
+
+  return worker;
+}
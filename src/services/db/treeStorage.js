@@ -0,0 +1,264 @@
+// treeStorage.js - The saved variation tree, one record per node
+//
+// treeNodes: { id, parentId, moveKey, fen, move, moveObj, frequency, gameIds, parentIds, edges }
+//            The root's id is 'root', every other id is its parent's id plus the move key ('root_e2e4_e7e5').
+//            A node of a merged graph (see getMergedChild) is stored once, under the first parent it is
+//            found from. Every other parent gets a link record { id, parentId, moveKey, linkId, frequency }
+//            pointing to it, and parentIds lists all of them.
+// treeGames: the game summaries of the tree (see getGameSummary), keyed by fingerprint.
+//            Nodes only reference them through gameIds, so each summary is stored once.
+// treeMeta:  a single record with the parameters the tree was built with
+//
+// Nodes read back have the same shape as a freshly built tree ({ fen, move, moveObj, frequency, games, children }).
+// loadTreeRoot only reads the root: every other node has loaded: false, with no games or children,
+// until loadNodeChildren reads them.
+import { initDB, DB_CONSTANTS } from './dbService';
+import { publishChange } from './changeFeed';
+
+const { TREE_NODES_STORE, TREE_GAMES_STORE, TREE_META_STORE } = DB_CONSTANTS;
+
+const ROOT_ID = 'root';
+const META_ID = 'tree';
+
+// Replaces the saved tree. options.workspaceId and options.origin are for saving from a worker,
+// as in saveGames.
+export async function saveTree(tree, metadata = {}, options = {}) {
+  try {
+    const db = await initDB(options.workspaceId);
+    const tx = db.transaction([TREE_NODES_STORE, TREE_GAMES_STORE, TREE_META_STORE], 'readwrite');
+    const nodesStore = tx.objectStore(TREE_NODES_STORE);
+    const gamesStore = tx.objectStore(TREE_GAMES_STORE);
+    const metaStore = tx.objectStore(TREE_META_STORE);
+
+    const writes = [nodesStore.clear(), gamesStore.clear(), metaStore.clear()];
+    const savedGames = new Set();
+    // Node -> its record, node records are written once every parent is known
+    const nodeRecords = new Map();
+
+    const saveNode = (node, id, parentId, moveKey) => {
+      if (nodeRecords.has(node)) {
+        const record = nodeRecords.get(node);
+        record.parentIds.push(parentId);
+        writes.push(nodesStore.put({ id, parentId, moveKey, linkId: record.id, frequency: node.frequency }));
+        return;
+      }
+
+      const games = node.games || [];
+      games.forEach(summary => {
+        if (!savedGames.has(summary.fingerprint)) {
+          savedGames.add(summary.fingerprint);
+          writes.push(gamesStore.put(summary));
+        }
+      });
+
+      nodeRecords.set(node, {
+        id,
+        parentId,
+        moveKey,
+        fen: node.fen,
+        move: node.move,
+        moveObj: toMoveRecord(node.moveObj),
+        frequency: node.frequency,
+        gameIds: games.map(summary => summary.fingerprint),
+        parentIds: parentId ? [parentId] : [],
+        ...(node.edges && { edges: node.edges })
+      });
+
+      Object.entries(node.children || {}).forEach(([childKey, child]) => {
+        saveNode(child, `${id}_${childKey}`, id, childKey);
+      });
+    };
+
+    saveNode(tree, ROOT_ID);
+    nodeRecords.forEach(record => writes.push(nodesStore.put(record)));
+    writes.push(metaStore.put({ ...metadata, id: META_ID }));
+
+    await Promise.all([...writes, tx.done]);
+    console.log(`Saved tree with ${nodeRecords.size} nodes and ${savedGames.size} games`);
+    publishChange({ store: 'tree', type: 'saved', count: nodeRecords.size }, options);
+    return true;
+  } catch (error) {
+    console.error("Error saving tree:", error);
+    throw new Error(`Failed to save tree: ${error.message}`);
+  }
+}
+
+// Resolves to the metadata passed to saveTree, or null when no tree is saved
+export async function loadTreeMetadata() {
+  try {
+    const db = await initDB();
+    const record = await db.get(TREE_META_STORE, META_ID);
+    if (!record) return null;
+
+    const { id, ...metadata } = record;
+    return metadata;
+  } catch (error) {
+    console.error("Error loading tree metadata:", error);
+    return null;
+  }
+}
+
+// The root with its games and moves, every deeper node is read on demand
+export async function loadTreeRoot() {
+  try {
+    const db = await initDB();
+    const record = await db.get(TREE_NODES_STORE, ROOT_ID);
+    if (!record) return null;
+
+    return loadNodeChildren(toNode(record));
+  } catch (error) {
+    console.error("Error loading tree root:", error);
+    throw new Error(`Failed to load tree: ${error.message}`);
+  }
+}
+
+// Fills in the games and children of a node read by loadTreeRoot or a previous call.
+// Nodes of a tree built in memory are returned as they are.
+export async function loadNodeChildren(node) {
+  if (node.loaded !== false) return node;
+
+  try {
+    const db = await initDB();
+    const tx = db.transaction([TREE_NODES_STORE, TREE_GAMES_STORE]);
+    const nodesStore = tx.objectStore(TREE_NODES_STORE);
+    const gamesStore = tx.objectStore(TREE_GAMES_STORE);
+
+    const [childRecords, games] = await Promise.all([
+      nodesStore.index('parentId').getAll(node.id).then(records => Promise.all(
+        records.map(async record => ({
+          moveKey: record.moveKey,
+          record: record.linkId ? await nodesStore.get(record.linkId) : record
+        }))
+      )),
+      Promise.all(node.gameIds.map(gameId => gamesStore.get(gameId)))
+    ]);
+
+    node.children = {};
+    // A node reached through links is read once per parent visited, as separate objects
+    childRecords.forEach(({ moveKey, record }) => {
+      if (record) {
+        node.children[moveKey] = toNode(record);
+      }
+    });
+    node.games = games.filter(Boolean);
+    node.loaded = true;
+    return node;
+  } catch (error) {
+    console.error(`Error loading tree node ${node.id}:`, error);
+    throw new Error(`Failed to load tree node: ${error.message}`);
+  }
+}
+
+// The whole saved tree at once, for views that lay out every node
+export async function loadTree() {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([TREE_NODES_STORE, TREE_GAMES_STORE]);
+    const [records, summaries] = await Promise.all([
+      tx.objectStore(TREE_NODES_STORE).getAll(),
+      tx.objectStore(TREE_GAMES_STORE).getAll()
+    ]);
+
+    const gamesById = new Map(summaries.map(summary => [summary.fingerprint, summary]));
+    const nodeRecords = records.filter(record => !record.linkId);
+    const nodes = new Map(nodeRecords.map(record => [record.id, toNode(record)]));
+
+    nodeRecords.forEach(record => {
+      const node = nodes.get(record.id);
+      node.games = record.gameIds.map(gameId => gamesById.get(gameId)).filter(Boolean);
+      node.loaded = true;
+    });
+
+    // Links attach the same node object to its other parents, as in the graph that was saved
+    records.forEach(record => {
+      const node = nodes.get(record.linkId || record.id);
+      const parent = nodes.get(record.parentId);
+      if (node && parent) {
+        parent.children[record.moveKey] = node;
+      }
+    });
+
+    return nodes.get(ROOT_ID) || null;
+  } catch (error) {
+    console.error("Error loading tree:", error);
+    throw new Error(`Failed to load tree: ${error.message}`);
+  }
+}
+
+// Drop the saved nodes played in fewer than minGames games. A node is never played more often
+// than its parent, so this removes whole branches without walking the tree. In a merged graph it can
+// be, through its other move orders: it stays reachable through their links, and a node left without
+// any parent is no longer read.
+export async function pruneSavedTree(minGames, metadata = {}) {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([TREE_NODES_STORE, TREE_META_STORE], 'readwrite');
+
+    let removed = 0;
+    let cursor = await tx.objectStore(TREE_NODES_STORE).openCursor();
+    while (cursor) {
+      if (cursor.value.id !== ROOT_ID && cursor.value.frequency < minGames) {
+        await cursor.delete();
+        removed++;
+      }
+      cursor = await cursor.continue();
+    }
+
+    await tx.objectStore(TREE_META_STORE).put({ ...metadata, id: META_ID });
+    await tx.done;
+
+    console.log(`Pruned ${removed} saved tree nodes with fewer than ${minGames} games`);
+    publishChange({ store: 'tree', type: 'deleted', count: removed });
+    return removed;
+  } catch (error) {
+    console.error("Error pruning saved tree:", error);
+    throw new Error(`Failed to prune tree: ${error.message}`);
+  }
+}
+
+export async function clearSavedTree() {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([TREE_NODES_STORE, TREE_GAMES_STORE, TREE_META_STORE], 'readwrite');
+    await Promise.all([
+      tx.objectStore(TREE_NODES_STORE).clear(),
+      tx.objectStore(TREE_GAMES_STORE).clear(),
+      tx.objectStore(TREE_META_STORE).clear(),
+      tx.done
+    ]);
+    console.log('Saved tree cleared');
+    publishChange({ store: 'tree', type: 'cleared' });
+    return true;
+  } catch (error) {
+    console.error("Error clearing saved tree:", error);
+    throw new Error(`Failed to clear tree: ${error.message}`);
+  }
+}
+
+function toNode(record) {
+  return {
+    id: record.id,
+    fen: record.fen,
+    move: record.move,
+    moveObj: record.moveObj,
+    frequency: record.frequency,
+    gameIds: record.gameIds,
+    parents: record.parentIds || (record.parentId ? [record.parentId] : []),
+    ...(record.edges && { edges: record.edges }),
+    games: [],
+    children: {},
+    loaded: false
+  };
+}
+
+// chess.js move objects carry more than the tree needs
+function toMoveRecord(move) {
+  if (!move) return undefined;
+  return {
+    from: move.from,
+    to: move.to,
+    promotion: move.promotion,
+    san: move.san,
+    color: move.color
+  };
+}
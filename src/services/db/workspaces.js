@@ -0,0 +1,167 @@
+// workspaces.js - Named workspaces, each with its own IndexedDB database and settings
+//
+// The list of workspaces is kept in localStorage, so it is known before any database is opened.
+// Each tab has its own active workspace, fixed when the tab loads: sessionStorage keeps it across
+// the tab's reloads, the one in localStorage is only where new tabs start. The default workspace
+// uses the original database name, which keeps the data stored before workspaces existed in it.
+//
+// A deleted workspace is announced to the other tabs and workers over a BroadcastChannel
+// ({ type: 'deleted', workspaceId }), so none of them creates its database again by opening it.
+import { deleteDB } from 'idb';
+import { DEFAULT_POSITION_INDEX_PLY } from '../utils/positions';
+
+const BASE_DB_NAME = 'chess-games-db';
+const WORKSPACES_KEY = 'workspaces';
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspace';
+const SETTINGS_KEY_PREFIX = 'workspaceSettings:';
+const WORKSPACES_CHANNEL = 'chess-workspaces';
+
+// Workspaces deleted since this context started, for workers that can't read the list
+const deletedWorkspaces = new Set();
+const deletionListeners = new Set();
+let channel = null;
+// The workspace this tab works in, see getActiveWorkspace
+let activeWorkspace = null;
+
+export const DEFAULT_WORKSPACE = { id: 'default', name: 'My games' };
+
+export function getWorkspaces() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WORKSPACES_KEY)) || [];
+    return [DEFAULT_WORKSPACE, ...stored];
+  } catch (error) {
+    console.error("Error reading workspaces:", error);
+    return [DEFAULT_WORKSPACE];
+  }
+}
+
+// The same workspace for the whole life of the page, whatever other tabs switch to. A workspace
+// deleted since is still returned, so its database fails to open instead of another one being used.
+export function getActiveWorkspace() {
+  if (!activeWorkspace) {
+    const activeId = sessionStorage.getItem(ACTIVE_WORKSPACE_KEY) || localStorage.getItem(ACTIVE_WORKSPACE_KEY);
+    activeWorkspace = getWorkspaces().find(workspace => workspace.id === activeId) || DEFAULT_WORKSPACE;
+    sessionStorage.setItem(ACTIVE_WORKSPACE_KEY, activeWorkspace.id);
+  }
+  return activeWorkspace;
+}
+
+// Takes effect when this tab reloads, callers reload the app after switching. New tabs start in it too.
+export function setActiveWorkspace(workspaceId) {
+  sessionStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+  localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+}
+
+export function getWorkspaceDbName(workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE.id ? BASE_DB_NAME : `${BASE_DB_NAME}:${workspaceId}`;
+}
+
+export function createWorkspace(name) {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error("A workspace needs a name");
+  }
+  if (getWorkspaces().some(workspace => workspace.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error(`A workspace named "${trimmedName}" already exists`);
+  }
+
+  const workspace = { id: `ws-${Date.now()}`, name: trimmedName, createdAt: Date.now() };
+  saveWorkspaceList([...getWorkspaces().slice(1), workspace]);
+  return workspace;
+}
+
+// Deletes the workspace's database and settings; the default workspace can't be deleted.
+// The workspace leaves the list and is announced as deleted before its database goes, so no tab
+// opens (and so recreates) it in between.
+export async function deleteWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE.id) {
+    throw new Error("The default workspace can't be deleted");
+  }
+
+  const storedWorkspaces = getWorkspaces().slice(1);
+  const newTabsStartInIt = localStorage.getItem(ACTIVE_WORKSPACE_KEY) === workspaceId;
+  saveWorkspaceList(storedWorkspaces.filter(workspace => workspace.id !== workspaceId));
+  if (newTabsStartInIt) {
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, DEFAULT_WORKSPACE.id);
+  }
+  deletedWorkspaces.add(workspaceId);
+  getChannel()?.postMessage({ type: 'deleted', workspaceId });
+
+  try {
+    await deleteDB(getWorkspaceDbName(workspaceId), {
+      blocked() {
+        console.warn(`Deleting workspace ${workspaceId} waits for its open connections to close`);
+      }
+    });
+    localStorage.removeItem(SETTINGS_KEY_PREFIX + workspaceId);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting workspace ${workspaceId}:`, error);
+    // The database is still there, so is the workspace
+    deletedWorkspaces.delete(workspaceId);
+    saveWorkspaceList(storedWorkspaces);
+    if (newTabsStartInIt) {
+      localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+    }
+    throw new Error(`Failed to delete workspace: ${error.message}`);
+  }
+}
+
+// Throws for a workspace that was deleted, before its database is opened. Code without
+// localStorage, like workers, only knows the deletions announced since it started.
+export function assertWorkspaceExists(workspaceId) {
+  getChannel();
+  const deleted = deletedWorkspaces.has(workspaceId) ||
+    (typeof localStorage !== 'undefined' && !getWorkspaces().some(workspace => workspace.id === workspaceId));
+  if (deleted) {
+    throw new Error(`The workspace ${workspaceId} was deleted`);
+  }
+}
+
+// listener(workspaceId) is called when another tab deletes a workspace.
+// Returns the function that unsubscribes.
+export function subscribeToWorkspaceDeletion(listener) {
+  deletionListeners.add(listener);
+  getChannel();
+  return () => {
+    deletionListeners.delete(listener);
+  };
+}
+
+// Settings of the active workspace, or another one (fetch options, account usernames, position index ply),
+// {} when none are saved
+export function loadWorkspaceSettings(workspaceId = getActiveWorkspace().id) {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY_PREFIX + workspaceId)) || {};
+  } catch (error) {
+    console.error("Error reading workspace settings:", error);
+    return {};
+  }
+}
+
+export function saveWorkspaceSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY_PREFIX + getActiveWorkspace().id, JSON.stringify(settings));
+}
+
+// How many plies of every game a workspace indexes the positions of (see positions.js)
+export function getPositionIndexPly(workspaceId) {
+  return loadWorkspaceSettings(workspaceId).positionIndexPly ?? DEFAULT_POSITION_INDEX_PLY;
+}
+
+function saveWorkspaceList(workspaces) {
+  localStorage.setItem(WORKSPACES_KEY, JSON.stringify(workspaces));
+}
+
+function getChannel() {
+  if (typeof BroadcastChannel === 'undefined') return null;
+
+  if (!channel) {
+    channel = new BroadcastChannel(WORKSPACES_CHANNEL);
+    channel.onmessage = ({ data }) => {
+      if (data.type !== 'deleted') return;
+      deletedWorkspaces.add(data.workspaceId);
+      deletionListeners.forEach(listener => listener(data.workspaceId));
+    };
+  }
+  return channel;
+}
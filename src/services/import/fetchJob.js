@@ -0,0 +1,154 @@
+// fetchJob.js - Import runs modeled as persisted jobs with per-account and per-archive checkpoints
+import { getSource } from '../sources/sourceRegistry';
+import { getAccountId } from '../utils/accounts';
+import { DEFAULT_IMPORT_FILTERS } from '../utils/importFilters';
+import { getLatestGameTime } from '../db/gameStorage';
+import { saveGamesInWorker } from '../db/saveGamesInWorker';
+import { saveJob, finishJob } from '../db/jobStorage';
+
+// Per account totals of the saveGames results, failed being a count here
+export const NO_SAVED_GAMES = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+
+// accounts: [{ source, username }], filters: import filters (see importFilters.js)
+export function createFetchJob({ accounts, gamesPerAccount, syncMode, filters = DEFAULT_IMPORT_FILTERS }) {
+  const createdAt = Date.now();
+
+  return {
+    id: `job-${createdAt}`,
+    status: 'running',
+    createdAt,
+    gamesPerAccount,
+    syncMode,
+    filters,
+    accounts: accounts.map(({ source, username }) => ({
+      id: getAccountId(source, username),
+      source,
+      username,
+      status: 'pending', // pending | done | failed
+      since: undefined, // resolved once when the account starts, so a resume keeps the same bound
+      checkpoint: null, // source specific, see sourceRegistry.js
+      fetched: 0,
+      saved: { ...NO_SAVED_GAMES },
+      warnings: [],
+      error: null
+    }))
+  };
+}
+
+// Run or resume a job. Every saved batch is checkpointed in IndexedDB, so a reload loses at
+// most the batch in flight. options.signal cancels the run, options.onProgress(percent).
+// Resolves to the finished job (status completed or cancelled).
+export async function runFetchJob(initialJob, options = {}) {
+  const { signal, onProgress } = options;
+  let job = await saveJob({ ...initialJob, status: 'running' });
+
+  const getAccount = (accountId) => job.accounts.find(account => account.id === accountId);
+
+  // Checkpoints run one at a time, in the order they were made, so an older save never lands
+  // after a newer one. changes can be a function of the account as it is when its turn comes.
+  let lastCheckpoint = Promise.resolve();
+  const checkpoint = (accountId, changes) => {
+    const next = lastCheckpoint.then(async () => {
+      job = {
+        ...job,
+        accounts: job.accounts.map(account => account.id === accountId
+          ? { ...account, ...(typeof changes === 'function' ? changes(account) : changes) }
+          : account)
+      };
+      job = await saveJob(job);
+    });
+    // A failed save is reported to its caller only, the next checkpoint saves the job again
+    lastCheckpoint = next.catch(() => {});
+    return next;
+  };
+  // After the checkpoints still queued, which would otherwise overwrite the final status
+  const finish = async (status) => {
+    await lastCheckpoint;
+    return finishJob(job, status);
+  };
+
+  const accountCount = job.accounts.length;
+
+  try {
+    for (const [index, { id: accountId }] of job.accounts.entries()) {
+      if (signal?.aborted) break;
+      if (getAccount(accountId).status !== 'pending') continue;
+
+      const reportProgress = (accountProgress) => {
+        if (onProgress) {
+          onProgress(((index + accountProgress / 100) / accountCount) * 100);
+        }
+      };
+
+      try {
+        if (getAccount(accountId).since === undefined) {
+          // In sync mode only games newer than the last stored one are requested
+          const { source, username } = getAccount(accountId);
+          const since = job.syncMode ? await getLatestGameTime(source, username) : null;
+          await checkpoint(accountId, { since });
+        }
+
+        const source = getSource(getAccount(accountId).source);
+        if (!source?.fetchGames) {
+          throw new Error(`Unknown game source: ${getAccount(accountId).source}`);
+        }
+
+        const remainingGames = getRemainingGames(job.gamesPerAccount, getAccount(accountId));
+        if (remainingGames !== 0) {
+          await source.fetchGames(getAccount(accountId), {
+            gamesPerAccount: remainingGames,
+            filters: job.filters,
+            signal,
+            onProgress: reportProgress,
+            onBatch: async (games, sourceCheckpoint) => {
+              const result = games.length > 0
+                ? await saveGamesInWorker(games.map(game => source.normalizeGame(game)))
+                : null;
+
+              await checkpoint(accountId, ({ fetched, saved = NO_SAVED_GAMES, warnings }) => {
+                const changes = { checkpoint: sourceCheckpoint, fetched: fetched + games.length };
+                if (result) {
+                  changes.saved = {
+                    inserted: saved.inserted + result.inserted,
+                    updated: saved.updated + result.updated,
+                    unchanged: saved.unchanged + result.unchanged,
+                    failed: saved.failed + result.failed.length
+                  };
+                  if (result.failed.length > 0) {
+                    changes.warnings = [...warnings, `${result.failed.length} games could not be saved: ${result.failed[0].reason}`];
+                  }
+                }
+                return changes;
+              });
+            },
+            // Not awaited by the sources: a warning that can't be saved yet goes with the next checkpoint
+            onWarning: (message) => {
+              checkpoint(accountId, ({ warnings }) => ({ warnings: [...warnings, message] }))
+                .catch(error => console.error(`Error saving warning for ${accountId}:`, error));
+            }
+          });
+        }
+
+        await checkpoint(accountId, { status: 'done' });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        await checkpoint(accountId, { status: 'failed', error: error.message });
+      }
+    }
+
+    if (signal?.aborted) {
+      return finish('cancelled');
+    }
+    return finish('completed');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return finish('cancelled');
+    }
+    await finish('failed');
+    throw error;
+  }
+}
+
+function getRemainingGames(gamesPerAccount, account) {
+  return gamesPerAccount === -1 ? -1 : Math.max(0, gamesPerAccount - account.fetched);
+}
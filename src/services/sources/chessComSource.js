@@ -0,0 +1,30 @@
+// chessComSource.js - Chess.com account adapter
+import { fetchChessComGames } from '../api/chessComApi';
+import { extractGameInfo } from '../utils/pgn';
+
+// Checkpoint: { completedArchives } - monthly archive URLs already saved
+const chessComSource = {
+  id: 'chess.com',
+  label: 'Chess.com',
+  form: { type: 'usernames', placeholder: 'Enter Chess.com username' },
+
+  async fetchGames(account, { gamesPerAccount, filters, signal, onProgress, onBatch, onWarning }) {
+    let completedArchives = account.checkpoint?.completedArchives || [];
+
+    await fetchChessComGames(account.username, gamesPerAccount, onProgress, {
+      since: account.since,
+      skipArchives: completedArchives,
+      filters,
+      signal,
+      onBatch: (games, archiveUrl) => {
+        completedArchives = [...completedArchives, archiveUrl];
+        return onBatch(games, { completedArchives });
+      },
+      onArchiveFailure: (url, error) => onWarning(`${url.split('/').slice(-2).join('/')}: ${error.message}`)
+    });
+  },
+
+  normalizeGame: (game) => extractGameInfo(game)
+};
+
+export default chessComSource;
@@ -0,0 +1,40 @@
+// lichessSource.js - Lichess account adapter
+import { streamLichessGames } from '../api/lichessApi';
+import { extractGameInfo } from '../utils/pgn';
+import { getAccountToken } from '../db/accountStorage';
+
+// Checkpoint: { until } - start time of the oldest game saved so far, or when syncing
+// { since } - start time of the newest one
+const lichessSource = {
+  id: 'lichess',
+  label: 'Lichess',
+  form: {
+    type: 'usernames',
+    placeholder: 'Enter Lichess username',
+    // Saved on the account record, never in fetch jobs
+    tokenField: { placeholder: 'Personal API token (optional)' }
+  },
+
+  async fetchGames(account, { gamesPerAccount, filters, signal, onProgress, onBatch }) {
+    // A sync reads oldest first from the newest stored game, so stopping at gamesPerAccount leaves
+    // no gap; the export is newest first otherwise. Either way a resume picks up after the last game saved.
+    const syncing = Boolean(account.since);
+    await streamLichessGames(account.username, gamesPerAccount, {
+      since: syncing ? Math.max(account.since, account.checkpoint?.since ?? 0) : account.since,
+      until: syncing ? undefined : account.checkpoint?.until,
+      oldestFirst: syncing,
+      filters,
+      signal,
+      token: await getAccountToken(account.id),
+      progressCallback: onProgress,
+      onBatch: (batch) => {
+        const startTimes = batch.map(game => game.startTime);
+        return onBatch(batch, syncing ? { since: Math.max(...startTimes) } : { until: Math.min(...startTimes) });
+      }
+    });
+  },
+
+  normalizeGame: (game) => extractGameInfo(game)
+};
+
+export default lichessSource;
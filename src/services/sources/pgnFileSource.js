@@ -0,0 +1,23 @@
+// pgnFileSource.js - Local multi-game PGN file adapter
+import { extractGameInfo, splitPgnGames, pgnToGame } from '../utils/pgn';
+
+const pgnFileSource = {
+  id: 'pgn-file',
+  label: 'PGN file',
+  form: {
+    type: 'file',
+    title: 'PGN File Import',
+    accept: '.pgn,text/plain',
+    fields: [{ name: 'playerName', placeholder: 'Your name as it appears in the PGN' }]
+  },
+
+  // fields.playerName is the account the games are stored under
+  async readFile(file, fields) {
+    const text = await file.text();
+    return splitPgnGames(text).map(pgn => pgnToGame(pgn, fields.playerName));
+  },
+
+  normalizeGame: (game) => extractGameInfo(game)
+};
+
+export default pgnFileSource;
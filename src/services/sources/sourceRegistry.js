@@ -0,0 +1,49 @@
+// sourceRegistry.js - Registered game sources
+//
+// An adapter is a plain object:
+// {
+//   id,                     stored as game.source
+//   label,                  shown in the UI
+//   form,                   { type: 'usernames', placeholder } for accounts fetched by username, or
+//                           { type: 'file', title, accept, fields: [{ name, placeholder }] } for uploads
+//   fetchGames(account, options)   'usernames' sources. account is the job's account state
+//                           ({ username, since, checkpoint }); options: { gamesPerAccount, filters,
+//                           signal, onProgress(percent), onBatch(games, checkpoint), onWarning(message) }.
+//                           onBatch is awaited; its checkpoint is handed back on resume.
+//   readFile(file, fields)  'file' sources, resolves to the games in the file
+//   normalizeGame(game)     turns what fetchGames/readFile produce into a stored record
+// }
+import chessComSource from './chessComSource';
+import lichessSource from './lichessSource';
+import pgnFileSource from './pgnFileSource';
+
+const sources = new Map();
+
+export function registerSource(source) {
+  sources.set(source.id, source);
+}
+
+export function getSource(sourceId) {
+  return sources.get(sourceId) || null;
+}
+
+export function getSources() {
+  return [...sources.values()];
+}
+
+// The label the source's adapter declares, its id for games of a source no longer registered
+export function getSourceLabel(sourceId) {
+  return getSource(sourceId)?.label || sourceId;
+}
+
+export function getAccountSources() {
+  return getSources().filter(source => source.form.type === 'usernames');
+}
+
+export function getFileSources() {
+  return getSources().filter(source => source.form.type === 'file');
+}
+
+registerSource(chessComSource);
+registerSource(lichessSource);
+registerSource(pgnFileSource);
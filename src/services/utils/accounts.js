@@ -0,0 +1,7 @@
+// accounts.js - Account identity helpers
+
+// Accounts are identified by source and username, so the same name on two sites stays separate.
+// Usernames are case-insensitive on both chess.com and lichess.
+export function getAccountId(source, username) {
+  return `${source}:${String(username).toLowerCase()}`;
+}
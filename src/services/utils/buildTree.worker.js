@@ -0,0 +1,119 @@
+// buildTree.worker.js - Builds, combines and saves variation trees off the main thread,
+// see buildTreeInWorkers.js for the messages
+/* eslint-env es2020 */
+import { buildVariationTreeInChunks, combineTrees, pruneTree, pruneTreeNodes } from './treeUtils';
+import { saveTree } from '../db/treeStorage';
+
+// The worker's global scope
+const ctx = globalThis;
+const SNAPSHOT_INTERVAL = 1000;
+// Split builds this worker combines, by buildId: the latest snapshot and the finished tree of every
+// part, its own first
+const splitBuilds = new Map();
+
+ctx.onmessage = async ({ data }) => {
+  const { type, buildId } = data;
+  try {
+    if (type === 'build') {
+      await build(data);
+    }
+  } catch (error) {
+    endBuild(buildId);
+    ctx.postMessage({ buildId, type: 'error', message: error.message });
+  }
+};
+
+async function build({ buildId, games, maxDepth, minGames, mergeTranspositions, snapshotMinGames, save, port, ports }) {
+  // Part of a split build: port leads to the combining worker, which has ports from all the others
+  const split = ports ? startCombining(buildId, ports, { minGames, mergeTranspositions, save }) : null;
+  let lastSnapshot = Date.now();
+
+  const tree = await buildVariationTreeInChunks(games, maxDepth, { mergeTranspositions }, {
+    onChunk: (partialTree, processed) => {
+      ctx.postMessage({ buildId, type: 'progress', processed });
+      if (Date.now() - lastSnapshot > SNAPSHOT_INTERVAL) {
+        const snapshot = pruneTree(partialTree, snapshotMinGames || minGames);
+        if (port) {
+          port.postMessage({ type: 'snapshot', tree: snapshot });
+        } else if (split) {
+          split.snapshots[0] = snapshot;
+          postCombinedSnapshot(buildId, split);
+        } else {
+          ctx.postMessage({ buildId, type: 'snapshot', tree: snapshot });
+        }
+        lastSnapshot = Date.now();
+      }
+    }
+  });
+
+  // Pruned once the parts are combined
+  if (port) {
+    port.postMessage({ type: 'built', tree });
+    return;
+  }
+  if (split) {
+    split.trees[0] = tree;
+    await combineWhenBuilt(buildId, split);
+    return;
+  }
+  await finish(buildId, tree, { minGames, save });
+}
+
+function startCombining(buildId, ports, options) {
+  const split = {
+    ...options,
+    snapshots: [null, ...ports.map(() => null)],
+    trees: [null, ...ports.map(() => null)],
+    lastSnapshot: 0
+  };
+  splitBuilds.set(buildId, split);
+
+  ports.forEach((port, index) => {
+    port.onmessage = ({ data }) => {
+      if (splitBuilds.get(buildId) !== split) return;
+
+      if (data.type === 'snapshot') {
+        split.snapshots[index + 1] = data.tree;
+        postCombinedSnapshot(buildId, split);
+      } else if (data.type === 'built') {
+        split.trees[index + 1] = data.tree;
+        combineWhenBuilt(buildId, split).catch(error => {
+          endBuild(buildId);
+          ctx.postMessage({ buildId, type: 'error', message: error.message });
+        });
+      }
+    };
+  });
+  return split;
+}
+
+// Every part sends a snapshot about once a second: the combined preview goes out as often
+function postCombinedSnapshot(buildId, split) {
+  if (Date.now() - split.lastSnapshot < SNAPSHOT_INTERVAL) return;
+
+  const combined = combineTrees(split.snapshots.filter(Boolean), split.mergeTranspositions);
+  pruneTreeNodes(combined, split.minGames);
+  ctx.postMessage({ buildId, type: 'snapshot', tree: combined });
+  split.lastSnapshot = Date.now();
+}
+
+async function combineWhenBuilt(buildId, split) {
+  if (!split.trees.every(Boolean) || splitBuilds.get(buildId) !== split) return;
+
+  endBuild(buildId);
+  await finish(buildId, combineTrees(split.trees, split.mergeTranspositions), split);
+}
+
+function endBuild(buildId) {
+  splitBuilds.delete(buildId);
+}
+
+// A tree that can't be saved is still returned, with the reason
+async function finish(buildId, tree, { minGames, save }) {
+  pruneTreeNodes(tree, minGames);
+  let saveError = null;
+  if (save) {
+    saveError = await saveTree(tree, save.metadata, save.options).then(() => null, error => error.message);
+  }
+  ctx.postMessage({ buildId, type: 'done', tree, saveError });
+}
@@ -0,0 +1,186 @@
+// buildTreeInWorkers.js - Variation tree builds in Web Workers, so large collections don't freeze the UI
+//
+// Messages to a worker (buildTree.worker.js):
+//   { type: 'build', buildId, games, maxDepth, minGames, mergeTranspositions, snapshotMinGames, save, port, ports }
+// Messages from a worker, all with buildId:
+//   { type: 'progress', processed }   games of its part processed so far
+//   { type: 'snapshot', tree }        the tree so far, pruned, about once a second
+//   { type: 'done', tree, saveError } the finished, pruned tree (saved first when save is given,
+//                                     saveError is null or why saving failed)
+//   { type: 'error', message }
+//
+// Every build has workers of its own, a cancelled build terminates them.
+//
+// Large collections are split across up to MAX_WORKERS workers, the copies of a game always in the
+// same part, and the first worker combines the parts (see combineTrees). The others send it their
+// snapshots and finished trees over a MessageChannel each ({ type: 'snapshot' | 'built', tree }),
+// so partial trees never go through the main thread: port is a part's end of its channel,
+// ports the first worker's ends of all of them.
+import { buildVariationTreeInChunks, pruneTree, pruneTreeNodes } from './treeUtils';
+import { createTreeWorker } from './treeWorker';
+import { groupByFingerprint } from './fingerprint';
+import { saveTree } from '../db/treeStorage';
+import { getActiveWorkspace } from '../db/workspaces';
+import { getChangeOrigin } from '../db/changeFeed';
+
+const MAX_WORKERS = 4;
+const MIN_GAMES_PER_WORKER = 500;
+const SNAPSHOT_INTERVAL = 1000;
+
+let nextBuildId = 0;
+
+// options: { maxDepth, minGames, mergeTranspositions, signal, onProgress(processedGames), onSnapshot(tree),
+// saveMetadata, onSaveError(message) }. With saveMetadata the finished tree is saved (saveTree) before
+// it is returned; when that fails it is still returned, after onSaveError.
+// Resolves to the pruned tree, or null when options.signal cancelled the build. Builds run on the
+// main thread instead where workers aren't available or fail to run.
+export function buildTreeInWorkers(games, options = {}) {
+  if (typeof Worker === 'undefined') {
+    return buildOnMainThread(games, options);
+  }
+
+  const { maxDepth, minGames, mergeTranspositions, signal, onProgress, onSnapshot, saveMetadata, onSaveError } = options;
+  if (signal?.aborted) return Promise.resolve(null);
+
+  const parts = splitGames(games, getWorkerCount(games.length));
+  const buildId = nextBuildId++;
+  // Workers have no localStorage to find the active workspace in
+  const save = saveMetadata && {
+    metadata: saveMetadata,
+    options: { workspaceId: getActiveWorkspace().id, origin: getChangeOrigin() }
+  };
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    const processed = parts.map(() => 0);
+    let settled = false;
+
+    const settle = (callback) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', cancel);
+      callback();
+    };
+
+    const terminateAll = () => workers.forEach(worker => worker.terminate());
+
+    function cancel() {
+      terminateAll();
+      settle(() => resolve(null));
+    }
+
+    const handleMessage = (index, data) => {
+      if (settled) {
+        workers[index].terminate();
+        return;
+      }
+
+      switch (data.type) {
+        case 'progress':
+          processed[index] = data.processed;
+          onProgress?.(processed.reduce((total, count) => total + count, 0));
+          break;
+        case 'snapshot':
+          onSnapshot?.(data.tree);
+          break;
+        case 'done':
+          terminateAll();
+          if (data.saveError) {
+            onSaveError?.(data.saveError);
+          }
+          settle(() => resolve(data.tree));
+          break;
+        case 'error':
+          terminateAll();
+          settle(() => reject(new Error(data.message)));
+          break;
+        default:
+          break;
+      }
+    };
+
+    // A worker that doesn't load or crashes: the whole build runs again on the main thread
+    const handleError = (event) => {
+      console.error('Tree worker failed, building on the main thread:', event.message);
+      event.preventDefault();
+      terminateAll();
+      settle(() => buildOnMainThread(games, options).then(resolve, reject));
+    };
+
+    try {
+      const channels = parts.slice(1).map(() => new MessageChannel());
+
+      parts.forEach((part, index) => {
+        const worker = createTreeWorker();
+        worker.onmessage = ({ data }) => handleMessage(index, data);
+        worker.onerror = handleError;
+        workers.push(worker);
+
+        // The first worker gets its end of every channel, the others the other end of their own
+        const ports = index === 0 ? channels.map(channel => channel.port1) : [channels[index - 1].port2];
+
+        worker.postMessage({
+          type: 'build',
+          buildId,
+          games: part,
+          maxDepth,
+          minGames,
+          mergeTranspositions,
+          // A part has only some of the games, prune its previews less
+          snapshotMinGames: Math.max(1, Math.ceil(minGames / parts.length)),
+          save,
+          port: index > 0 ? ports[0] : undefined,
+          ports: index === 0 && ports.length > 0 ? ports : undefined
+        }, ports);
+      });
+    } catch (error) {
+      // Games that can't be cloned into a worker can still be used here
+      terminateAll();
+      settle(() => buildOnMainThread(games, options).then(resolve, reject));
+      return;
+    }
+
+    signal?.addEventListener('abort', cancel);
+  });
+}
+
+async function buildOnMainThread(games, options) {
+  const { maxDepth, minGames, mergeTranspositions, signal, onProgress, onSnapshot, saveMetadata, onSaveError } = options;
+  let lastSnapshot = Date.now();
+
+  const tree = await buildVariationTreeInChunks(games, maxDepth, { mergeTranspositions }, {
+    isCancelled: () => Boolean(signal?.aborted),
+    onChunk: (partialTree, processed) => {
+      onProgress?.(processed);
+      if (onSnapshot && Date.now() - lastSnapshot > SNAPSHOT_INTERVAL) {
+        onSnapshot(pruneTree(partialTree, minGames));
+        lastSnapshot = Date.now();
+      }
+    }
+  });
+  if (!tree) return null;
+
+  pruneTreeNodes(tree, minGames);
+  if (saveMetadata) {
+    await saveTree(tree, saveMetadata).catch(error => onSaveError?.(error.message));
+  }
+  return tree;
+}
+
+function getWorkerCount(gameCount) {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1, Math.floor(gameCount / MIN_GAMES_PER_WORKER)));
+}
+
+// Copies of the same game go to the same part, so combining the parts never counts a game twice
+function splitGames(games, partCount) {
+  if (partCount === 1) return [games];
+
+  const parts = Array.from({ length: partCount }, () => []);
+  let next = 0;
+  groupByFingerprint(games).forEach(copies => {
+    parts[next].push(...copies);
+    next = (next + 1) % partCount;
+  });
+  return parts;
+}
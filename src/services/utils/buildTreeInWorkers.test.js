@@ -0,0 +1,81 @@
+import { buildTreeInWorkers } from './buildTreeInWorkers';
+
+jest.mock('./treeWorker', () => ({ createTreeWorker: () => new MockWorker() }));
+
+// Workers that only record what they are sent; the test plays their answers
+class MockWorker {
+  static instances = [];
+
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    MockWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.onmessage({ data: { buildId: this.messages[0].buildId, ...data } });
+  }
+}
+
+class FakeMessageChannel {
+  constructor() {
+    this.port1 = {};
+    this.port2 = {};
+  }
+}
+
+const games = Array.from({ length: 2000 }, (_, index) => ({ id: `game-${index}`, fingerprint: `game-${index}` }));
+
+beforeEach(() => {
+  MockWorker.instances = [];
+  global.Worker = MockWorker;
+  global.MessageChannel = FakeMessageChannel;
+  Object.defineProperty(navigator, 'hardwareConcurrency', { value: 8, configurable: true });
+});
+
+afterEach(() => {
+  delete global.Worker;
+  delete global.MessageChannel;
+});
+
+describe('buildTreeInWorkers', () => {
+  test('splits a large collection across workers, the first one combining', () => {
+    buildTreeInWorkers(games, { maxDepth: 10, minGames: 2 });
+
+    expect(MockWorker.instances).toHaveLength(4);
+    const [combining, ...parts] = MockWorker.instances.map(worker => worker.messages[0]);
+    expect(combining.ports).toHaveLength(3);
+    parts.forEach(part => expect(part.port).toBeDefined());
+    expect(MockWorker.instances.reduce((total, worker) => total + worker.messages[0].games.length, 0)).toBe(games.length);
+  });
+
+  test('cancelling terminates every worker, including parts that already finished', async () => {
+    const controller = new AbortController();
+    const build = buildTreeInWorkers(games, { maxDepth: 10, minGames: 2, signal: controller.signal });
+
+    // A part done with its games only talks to the combining worker, never to this thread again
+    MockWorker.instances[1].reply({ type: 'progress', processed: 500 });
+    controller.abort();
+
+    await expect(build).resolves.toBeNull();
+    expect(MockWorker.instances.every(worker => worker.terminated)).toBe(true);
+  });
+
+  test('a finished build terminates every worker', async () => {
+    const build = buildTreeInWorkers(games, { maxDepth: 10, minGames: 2 });
+    const tree = { move: null, children: [] };
+
+    MockWorker.instances[0].reply({ type: 'done', tree, saveError: null });
+
+    await expect(build).resolves.toBe(tree);
+    expect(MockWorker.instances.every(worker => worker.terminated)).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+// fingerprint.js - Canonical id of a game, shared by every stored copy of it
+//
+// Record ids are suffixed with the account they were fetched for, so a game between two
+// tracked accounts is stored once per account. The fingerprint identifies the game itself:
+// the site's own game id when there is one, a hash of the headers and moves otherwise.
+import { parsePgnHeaders, hashString } from './pgn';
+import { parseMoveAnnotations } from './pgnAnnotations';
+
+export function getGameFingerprint(game) {
+  const headers = game.pgn ? parsePgnHeaders(game.pgn) : {};
+
+  // PGN exports carry the game URL in Site (lichess) or Link (chess.com)
+  const siteFingerprint = [game.url, headers.Site, headers.Link]
+    .map(getSiteFingerprint)
+    .find(Boolean);
+  if (siteFingerprint) return siteFingerprint;
+
+  if (!game.pgn) return `id:${game.id}`;
+
+  // Comments and clocks differ between exports of the same game, the moves don't
+  const moves = parseMoveAnnotations(game.pgn).map(move => move.san).join(' ');
+  const identity = [
+    headers.White,
+    headers.Black,
+    headers.UTCDate || headers.Date,
+    headers.UTCTime || headers.Time,
+    headers.Result,
+    moves
+  ].join('|');
+
+  return `pgn:${hashString(identity)}`;
+}
+
+// Group records by fingerprint: one entry per logical game, in first-seen order
+export function groupByFingerprint(games) {
+  const groups = new Map();
+  for (const game of games) {
+    const fingerprint = game.fingerprint || getGameFingerprint(game);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(game);
+  }
+  return groups;
+}
+
+function getSiteFingerprint(url) {
+  if (!url) return null;
+
+  const lichess = url.match(/lichess\.org\/([a-zA-Z0-9]{8})(?:[a-zA-Z0-9]{4})?(?:[/#?]|$)/);
+  if (lichess) return `lichess:${lichess[1]}`;
+
+  // chess.com/game/live/123, chess.com/live/game/123 and their daily counterparts
+  const chessCom = url.match(/chess\.com\/(?:game\/)?(live|daily)(?:\/game)?\/(\d+)/);
+  if (chessCom) return `chess.com:${chessCom[1]}:${chessCom[2]}`;
+
+  return null;
+}
@@ -0,0 +1,103 @@
+// gameMetadata.js - Speed class, time control and termination normalization shared by all sources
+
+export const SPEEDS = ['bullet', 'blitz', 'rapid', 'classical', 'correspondence'];
+
+// Parse a PGN/chess.com time control: "300+2" (seconds), "600", or "1/259200" (daily, seconds per move)
+export function parseTimeControl(timeControl) {
+  if (!timeControl || timeControl === '-' || timeControl === '?') return null;
+
+  const daily = String(timeControl).match(/^1\/(\d+)$/);
+  if (daily) {
+    return { daysPerMove: Math.round(Number(daily[1]) / 86400) };
+  }
+
+  const live = String(timeControl).match(/^(\d+)(?:\+(\d+))?$/);
+  if (live) {
+    return { initial: Number(live[1]), increment: Number(live[2] || 0) };
+  }
+
+  return null;
+}
+
+// Human readable time control: minutes(+increment) for live games, days per move for daily ones
+export function formatTimeControl(parsed) {
+  if (!parsed) return undefined;
+  if (parsed.daysPerMove) return `${parsed.daysPerMove}d`;
+  const minutes = Math.floor(parsed.initial / 60);
+  return parsed.increment ? `${minutes}+${parsed.increment}` : `${minutes}`;
+}
+
+// Same estimate lichess uses: initial time + 40 moves of increment
+export function classifySpeed(parsed) {
+  if (!parsed) return null;
+  if (parsed.daysPerMove) return 'correspondence';
+
+  const estimated = parsed.initial + 40 * parsed.increment;
+  if (estimated < 180) return 'bullet';
+  if (estimated < 480) return 'blitz';
+  if (estimated < 1500) return 'rapid';
+  return 'classical';
+}
+
+// Map source specific endings (chess.com result codes, lichess statuses, PGN Termination text)
+// to one vocabulary: checkmate, resign, timeout, agreement, repetition, stalemate,
+// insufficient, fifty-move, abandoned, aborted, other
+export function normalizeTermination(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+
+  if (text === 'mate' || text.includes('checkmate')) return 'checkmate';
+  if (text.includes('resign')) return 'resign';
+  if (text === 'timevsinsufficient') return 'insufficient';
+  if (text === 'outoftime' || text === 'timeout' || text.includes('on time') || text.includes('time forfeit')) return 'timeout';
+  if (text === 'agreed' || text === 'draw' || text.includes('agreement')) return 'agreement';
+  if (text.includes('repetition')) return 'repetition';
+  if (text.includes('stalemate')) return 'stalemate';
+  if (text.includes('insufficient')) return 'insufficient';
+  if (text === '50move' || text.includes('50-move') || text.includes('50 move')) return 'fifty-move';
+  if (text.includes('abandon')) return 'abandoned';
+  if (text === 'aborted' || text === 'nostart') return 'aborted';
+  return 'other';
+}
+
+// Metadata that can be recovered from PGN headers alone (PGN imports and games stored before
+// these fields existed). Lichess PGNs say "Rated Blitz game" in Event, chess.com PGNs don't say.
+export function getMetadataFromHeaders(headers, pgn = '') {
+  const parsedTimeControl = parseTimeControl(headers.TimeControl);
+  const event = (headers.Event || '').toLowerCase();
+  const termination = headers.Termination === 'Normal'
+    ? (/#\s*(1-0|0-1)?\s*$/.test(pgn.trim()) ? 'checkmate' : null)
+    : normalizeTermination(headers.Termination);
+
+  return {
+    timeControl: formatTimeControl(parsedTimeControl),
+    clock: parsedTimeControl?.daysPerMove ? null : parsedTimeControl,
+    speed: classifySpeed(parsedTimeControl),
+    rated: event.includes('rated') ? 1 : event.includes('casual') ? 0 : null,
+    variant: headers.Variant ? normalizeVariant(headers.Variant) : 'standard',
+    termination
+  };
+}
+
+// "Chess960", "From Position" -> "chess960", "fromPosition" style keys used by lichess
+export function normalizeVariant(variant) {
+  if (!variant || variant === 'chess') return 'standard';
+  const words = String(variant).trim().split(/[\s-]+/);
+  return words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+// ISO date (YYYY-MM-DD, UTC) from an exact timestamp, so it doesn't depend on the browser locale
+export function toISODate(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Fields games can be sorted by in game queries (see gameQuery.js)
+export const SORT_FIELDS = ['endTime', 'playerElo', 'opponentElo'];
+
+// The sort fields a game has no value for, stored on the game so the games an index on a sort
+// field can't hold are found through an index too
+export function getMissingSortFields(game) {
+  return SORT_FIELDS.filter(field => typeof game[field] !== 'number' || Number.isNaN(game[field]));
+}
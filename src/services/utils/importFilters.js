@@ -0,0 +1,38 @@
+// importFilters.js - Filters applied while importing, so unwanted games are never stored
+
+export const DEFAULT_IMPORT_FILTERS = {
+  fromDate: '', // YYYY-MM-DD, inclusive
+  toDate: '', // YYYY-MM-DD, inclusive
+  speeds: [], // empty means every speed class
+  ratedOnly: false,
+  standardOnly: false
+};
+
+// Date inputs -> exclusive timestamp bounds (ms, UTC), the same convention as the sync "since"
+export function getImportDateRange(filters = {}) {
+  return {
+    since: filters.fromDate ? Date.parse(`${filters.fromDate}T00:00:00Z`) - 1 : null,
+    until: filters.toDate ? Date.parse(`${filters.toDate}T00:00:00Z`) + 24 * 60 * 60 * 1000 : null
+  };
+}
+
+// Checked against formatted games, after the source specific fields have been normalized
+export function matchesImportFilters(game, filters = {}) {
+  const { since, until } = getImportDateRange(filters);
+
+  if (since && game.endTime <= since) return false;
+  if (until && game.endTime >= until) return false;
+  if (filters.speeds?.length > 0 && !filters.speeds.includes(game.speed)) return false;
+  if (filters.ratedOnly && game.rated !== 1) return false;
+  if (filters.standardOnly && game.variant !== 'standard') return false;
+  return true;
+}
+
+// Combine the sync bound with the date filter: the later since and the earlier until win
+export function narrowRange(since, until, filters = {}) {
+  const range = getImportDateRange(filters);
+  return {
+    since: since && range.since ? Math.max(since, range.since) : since || range.since,
+    until: until && range.until ? Math.min(until, range.until) : until || range.until
+  };
+}
@@ -0,0 +1,43 @@
+// moveAnalysis.js - Engine analysis stored on game records
+//
+// game.analysis is null, or:
+// {
+//   source: 'lichess',
+//   moves: [{ ply, eval, mate, judgment, best, clock }],
+//   white: { accuracy, acpl, inaccuracies, mistakes, blunders },
+//   black: { ... }
+// }
+// eval is in centipawns from white's point of view (null when a mate is announced), mate is
+// moves to mate (negative when black mates), judgment is 'inaccuracy' | 'mistake' | 'blunder' | null,
+// best is the better move in UCI when the move got a judgment, clock is seconds left after the move.
+
+export const JUDGMENTS = ['inaccuracy', 'mistake', 'blunder'];
+
+// Per-side totals from the per-move judgments, for sources that don't send them
+export function countJudgments(moves, color) {
+  const counts = { inaccuracies: 0, mistakes: 0, blunders: 0 };
+  const parity = color === 'white' ? 1 : 0;
+
+  for (const move of moves) {
+    if (move.ply % 2 !== parity) continue;
+    if (move.judgment === 'inaccuracy') counts.inaccuracies++;
+    if (move.judgment === 'mistake') counts.mistakes++;
+    if (move.judgment === 'blunder') counts.blunders++;
+  }
+
+  return counts;
+}
+
+// Accuracy and error counts for the account's side (or white, when the side is unknown).
+// Chess.com only reports accuracies, so the counts are null for its games.
+export function getAnalysisSummary(game) {
+  const color = game.playerColor || 'white';
+  const side = game.analysis?.[color];
+
+  return {
+    accuracy: side?.accuracy ?? (color === 'white' ? game.whiteAccuracy : game.blackAccuracy) ?? null,
+    inaccuracies: side?.inaccuracies ?? null,
+    mistakes: side?.mistakes ?? null,
+    blunders: side?.blunders ?? null
+  };
+}
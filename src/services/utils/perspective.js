@@ -0,0 +1,57 @@
+// perspective.js - Player-perspective fields for stored games
+
+const OUTCOMES = ['1-0', '0-1', '1/2-1/2'];
+
+// Works out which side the account played and rewrites the result from that side.
+// game.outcome is the side-neutral result ('1-0', '0-1', '1/2-1/2'); when missing it is
+// read from the PGN Result header.
+export function applyPlayerPerspective(game) {
+  const outcome = game.outcome || getPgnOutcome(game.pgn);
+  const playerColor = getPlayerColor(game);
+
+  const perspective = {
+    outcome,
+    playerColor,
+    opponent: null,
+    playerElo: null,
+    opponentElo: null,
+    result: getPerspectiveResult(outcome, playerColor)
+  };
+
+  if (playerColor === 'white') {
+    perspective.opponent = game.black;
+    perspective.playerElo = game.whiteElo ?? null;
+    perspective.opponentElo = game.blackElo ?? null;
+  } else if (playerColor === 'black') {
+    perspective.opponent = game.white;
+    perspective.playerElo = game.blackElo ?? null;
+    perspective.opponentElo = game.whiteElo ?? null;
+  }
+
+  return { ...game, ...perspective };
+}
+
+export function getPgnOutcome(pgn) {
+  const match = pgn && pgn.match(/\[Result "([^"]+)"\]/);
+  return match && OUTCOMES.includes(match[1]) ? match[1] : null;
+}
+
+// Full names only, case-insensitively: a partial match can pick the wrong player ("al" in "Alice")
+function getPlayerColor(game) {
+  const account = String(game.account || '').trim().toLowerCase();
+  const white = String(game.white || '').trim().toLowerCase();
+  const black = String(game.black || '').trim().toLowerCase();
+
+  if (!account) return null;
+  if (white === account) return 'white';
+  if (black === account) return 'black';
+  return null;
+}
+
+function getPerspectiveResult(outcome, playerColor) {
+  if (outcome === '1/2-1/2') return 'Draw';
+  if (!outcome || !playerColor) return 'Unknown';
+
+  const winner = outcome === '1-0' ? 'white' : 'black';
+  return winner === playerColor ? 'Win' : 'Loss';
+}
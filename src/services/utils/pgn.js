@@ -1,4 +1,9 @@
 // src/services/utils/pgn.js
+import { getAccountId } from './accounts';
+import { applyPlayerPerspective, getPgnOutcome } from './perspective';
+import { getMetadataFromHeaders } from './gameMetadata';
+import { getMoveTimes } from './pgnAnnotations';
+
 export function extractGameInfo(game) 
 {
     try {
@@ -27,10 +32,19 @@ export function extractGameInfo(game)
         if (blackEloMatch) {
           enhancedGame.blackElo = parseInt(blackEloMatch[1]);
         }
+        
+        // Remaining clock and time spent per ply from [%clk] comments
+        if (!game.moveTimes) {
+          enhancedGame.moveTimes = getMoveTimes(game.pgn, game.clock);
+        }
       }
       
       // Ensure date is in a consistent format for indexing
-      if (game.date) {
+      if (game.endTime) {
+        // Exact timestamps don't need locale-dependent date parsing
+        enhancedGame.dateObject = new Date(game.endTime);
+        enhancedGame.date = enhancedGame.dateObject.toISOString().split('T')[0];
+      } else if (game.date) {
         try {
           enhancedGame.dateObject = new Date(game.date);
           enhancedGame.date = enhancedGame.dateObject.toISOString().split('T')[0];
@@ -47,6 +61,134 @@ export function extractGameInfo(game)
     }
 }
   
+const TAG_PAIR_LINE = /^\[\w+\s+"/;
+const RESULT_AT_END = /(?:1-0|0-1|1\/2-1\/2|\*)$/;
+
+// Split a multi-game PGN file into one PGN string per game.
+// A game ends where a tag pair line follows its movetext, after a blank line or the result,
+// and outside a { } comment: a comment line like "[%clk 0:01:02]" stays in its game.
+export function splitPgnGames(text) 
+{
+    const games = [];
+    let current = [];
+    let hasMovetext = false;
+    let inComment = false;
+    // A blank line or the result since the last movetext
+    let atBreak = false;
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+      const trimmed = line.trim();
+      const isTagPair = !inComment && TAG_PAIR_LINE.test(trimmed);
+
+      if (isTagPair && hasMovetext && atBreak) {
+        games.push(current.join('\n').trim());
+        current = [];
+        hasMovetext = false;
+      }
+
+      if (!trimmed) {
+        atBreak = true;
+      } else if (inComment || (!isTagPair && !trimmed.startsWith('%'))) {
+        hasMovetext = true;
+        inComment = endsInComment(trimmed, inComment);
+        atBreak = !inComment && RESULT_AT_END.test(trimmed);
+      }
+      current.push(line);
+    }
+
+    if (hasMovetext) {
+      games.push(current.join('\n').trim());
+    }
+
+    return games;
+}
+
+// Whether a movetext line leaves a { } comment open; a ; comment runs to the end of the line
+function endsInComment(line, inComment)
+{
+    for (const char of line) {
+      if (inComment) {
+        inComment = char !== '}';
+      } else if (char === '{') {
+        inComment = true;
+      } else if (char === ';') {
+        break;
+      }
+    }
+    return inComment;
+}
+
+export function parsePgnHeaders(pgn) 
+{
+    const headers = {};
+    const headerRegex = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm;
+    let match;
+
+    while ((match = headerRegex.exec(pgn)) !== null) {
+      headers[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+    }
+
+    return headers;
+}
+
+// Build a game in the same shape the API clients produce from a single PGN.
+// playerName is the user-chosen account the game is stored under.
+export function pgnToGame(pgn, playerName) 
+{
+    const headers = parsePgnHeaders(pgn);
+    const white = headers.White || 'Unknown';
+    const black = headers.Black || 'Unknown';
+    const date = parsePgnDate(headers.UTCDate || headers.Date);
+    const endTime = date ? Date.parse(`${date}T${headers.UTCTime || '00:00:00'}Z`) : undefined;
+
+    return applyPlayerPerspective({
+      ...getMetadataFromHeaders(headers, pgn),
+      id: `pgn-${hashString(pgn)}-${playerName}`, // Add player name like the API clients do
+      white,
+      black,
+      outcome: getPgnOutcome(pgn),
+      date,
+      endTime: Number.isNaN(endTime) ? undefined : endTime,
+      url: /^https?:\/\//.test(headers.Site || '') ? headers.Site : null,
+      pgn,
+      source: 'pgn-file',
+      account: playerName,
+      accountId: getAccountId('pgn-file', playerName),
+      whiteElo: parseInt(headers.WhiteElo) || undefined,
+      blackElo: parseInt(headers.BlackElo) || undefined
+    });
+}
+
+// When the game ended (ms): chess.com's EndDate/EndTime headers, or the UTC start date and time
+// other exports have. null without both a date and a time.
+export function getPgnEndTime(headers)
+{
+    for (const [pgnDate, time] of [[headers.EndDate, headers.EndTime], [headers.UTCDate, headers.UTCTime]]) {
+      const date = parsePgnDate(pgnDate);
+      const timestamp = date && /^\d{2}:\d{2}:\d{2}$/.test(time || '') ? Date.parse(`${date}T${time}Z`) : NaN;
+      if (!Number.isNaN(timestamp)) return timestamp;
+    }
+    return null;
+}
+
+// "2023.05.01" -> "2023-05-01"; unknown parts ("2023.??.??") are not a usable date
+function parsePgnDate(pgnDate) 
+{
+    const match = pgnDate && pgnDate.match(/^(\d{4})\.(\d{2})\.(\d{2})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Small non-cryptographic hash (FNV-1a) to build stable ids from PGN text
+export function hashString(text) 
+{
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+  
 export function downloadPGN(games) 
 {
     if (games.length === 0) return;
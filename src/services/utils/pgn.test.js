@@ -0,0 +1,45 @@
+import { splitPgnGames } from './pgn';
+
+const game = (white, movetext) => `[Event "Casual"]
+[White "${white}"]
+[Black "Bob"]
+[Result "1-0"]
+
+${movetext}`;
+
+describe('splitPgnGames', () => {
+  test('splits on the tag section after each game', () => {
+    const text = [game('Alice', '1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7# 1-0'), game('Carol', '1. d4 d5 1-0')].join('\n\n');
+
+    const games = splitPgnGames(text);
+    expect(games).toHaveLength(2);
+    expect(games[0]).toMatch('[White "Alice"]');
+    expect(games[0]).toMatch(/Qxf7# 1-0$/);
+    expect(games[1]).toMatch(/^\[Event "Casual"\]/);
+    expect(games[1]).toMatch('[White "Carol"]');
+  });
+
+  test('keeps a multi-line comment with a line starting with [ in its game', () => {
+    const movetext = `1. e4 { A long think
+[%clk 0:01:02]
+[Note "not a tag"] } 1... e5 2. Nf3 {
+[%clk 0:00:58] } 1-0`;
+    const text = `${game('Alice', movetext)}\n\n${game('Carol', '1. d4 d5 1-0')}`;
+
+    const games = splitPgnGames(text);
+    expect(games).toHaveLength(2);
+    expect(games[0]).toMatch('[%clk 0:01:02]');
+    expect(games[0]).toMatch(/\[%clk 0:00:58\] } 1-0$/);
+    expect(games[1]).toMatch('[White "Carol"]');
+  });
+
+  test('splits games written without blank lines after their result', () => {
+    const text = '[White "Alice"]\n1. e4 e5 1-0\n[White "Carol"]\n1. d4 d5 *';
+    expect(splitPgnGames(text)).toEqual(['[White "Alice"]\n1. e4 e5 1-0', '[White "Carol"]\n1. d4 d5 *']);
+  });
+
+  test('handles Windows line endings and a file without trailing movetext', () => {
+    expect(splitPgnGames('[White "Alice"]\r\n\r\n1. e4 1-0\r\n')).toEqual(['[White "Alice"]\n\n1. e4 1-0']);
+    expect(splitPgnGames('[White "Alice"]\n')).toEqual([]);
+  });
+});
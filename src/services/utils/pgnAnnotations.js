@@ -0,0 +1,109 @@
+// pgnAnnotations.js - Move-level PGN annotations (comments, %clk / %emt clock commands)
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Leading [Name "value"] tag pairs, values may contain escaped quotes and brackets
+const TAG_SECTION = /^(?:\s*\[[A-Za-z0-9_]+\s+"(?:[^"\\]|\\.)*"\])*/;
+
+// Walk the mainline of a PGN and return one entry per ply:
+// { ply, color, san, comment, clock, elapsed } where clock/elapsed are seconds (or null).
+// Variations, NAGs and move numbers are skipped.
+export function parseMoveAnnotations(pgn) {
+  if (!pgn) return [];
+
+  // Drop the tag section, annotations only live in the movetext. Only the tag pairs at the start:
+  // a [%clk ...] alone on a line of a multi-line comment is part of the movetext.
+  const movetext = pgn.replace(TAG_SECTION, '');
+  const moves = [];
+  let i = 0;
+  let variationDepth = 0;
+
+  const attachComment = (comment) => {
+    const lastMove = moves[moves.length - 1];
+    if (!lastMove || variationDepth > 0) return;
+    lastMove.comment = lastMove.comment ? `${lastMove.comment} ${comment}` : comment;
+    lastMove.clock = parseClockCommand(comment, 'clk') ?? lastMove.clock;
+    lastMove.elapsed = parseClockCommand(comment, 'emt') ?? lastMove.elapsed;
+  };
+
+  while (i < movetext.length) {
+    const char = movetext[i];
+
+    if (char === '{') {
+      const end = movetext.indexOf('}', i);
+      const stop = end === -1 ? movetext.length : end;
+      attachComment(movetext.slice(i + 1, stop).trim());
+      i = stop + 1;
+    } else if (char === ';') {
+      const end = movetext.indexOf('\n', i);
+      const stop = end === -1 ? movetext.length : end;
+      attachComment(movetext.slice(i + 1, stop).trim());
+      i = stop + 1;
+    } else if (char === '(') {
+      variationDepth++;
+      i++;
+    } else if (char === ')') {
+      variationDepth = Math.max(0, variationDepth - 1);
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else {
+      const match = movetext.slice(i).match(/^[^\s{}();]+/);
+      const token = match[0];
+      i += token.length;
+
+      if (variationDepth > 0 || RESULT_TOKENS.includes(token) || token.startsWith('$')) continue;
+
+      // "12." / "12..." / "12...e5" - strip the move number
+      const san = token.replace(/^\d+\.+/, '').replace(/[!?]+$/, '');
+      if (!san) continue;
+
+      moves.push({
+        ply: moves.length + 1,
+        color: moves.length % 2 === 0 ? 'w' : 'b',
+        san,
+        comment: null,
+        clock: null,
+        elapsed: null
+      });
+    }
+  }
+
+  return moves;
+}
+
+// Remaining clock and time spent for every ply, in seconds.
+// clock is the game's { initial, increment } when known; otherwise a side's first
+// clock reading is used as its starting time. Games without %clk comments return [].
+export function getMoveTimes(pgn, clock = null) {
+  const moves = parseMoveAnnotations(pgn);
+  if (!moves.some(move => move.clock !== null)) return [];
+
+  const increment = clock?.increment || 0;
+  const previousClock = { w: clock?.initial ?? null, b: clock?.initial ?? null };
+
+  return moves.map(move => {
+    let spent = move.elapsed;
+
+    if (spent === null && move.clock !== null && previousClock[move.color] !== null) {
+      // The increment is added after the move, so it's part of what the clock shows now
+      spent = Math.max(0, previousClock[move.color] + increment - move.clock);
+    }
+
+    if (move.clock !== null) {
+      previousClock[move.color] = move.clock;
+    }
+
+    return {
+      clock: move.clock,
+      spent: spent === null ? null : Math.round(spent * 10) / 10
+    };
+  });
+}
+
+// [%clk 0:03:00] or [%clk 0:02:59.9] -> seconds
+function parseClockCommand(comment, command) {
+  const match = comment.match(new RegExp(`\\[%${command}\\s+(\\d+):(\\d+):(\\d+(?:\\.\\d+)?)\\]`));
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
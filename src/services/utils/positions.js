@@ -0,0 +1,35 @@
+// positions.js - Positions a game went through, for transposition-aware search
+//
+// A position is its FEN without the halfmove clock and move number, so the same position
+// reached by a different move order (or a move later) has the same key.
+import { Chess } from 'chess.js';
+
+// How many plies of every game are indexed unless the workspace says otherwise (getPositionIndexPly
+// in workspaces.js); changing it re-indexes the stored games (reindexPositions in gameStorage.js)
+export const DEFAULT_POSITION_INDEX_PLY = 30;
+
+export function normalizeFen(fen) {
+  return fen.split(' ').slice(0, 4).join(' ');
+}
+
+// Unique normalized FENs from the starting position up to maxPly, [] if the moves can't be replayed
+export function getGamePositions(pgn, maxPly = DEFAULT_POSITION_INDEX_PLY) {
+  if (!pgn) return [];
+
+  try {
+    const chess = new Chess();
+    chess.loadPgn(pgn);
+    const moves = chess.history();
+
+    // Replay from the game's own starting position (FEN header for odd starts)
+    const replay = new Chess(chess.getHeaders().FEN || undefined);
+    const positions = new Set([normalizeFen(replay.fen())]);
+    for (const move of moves.slice(0, maxPly)) {
+      replay.move(move);
+      positions.add(normalizeFen(replay.fen()));
+    }
+    return [...positions];
+  } catch (error) {
+    return [];
+  }
+}
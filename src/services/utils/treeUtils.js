@@ -1,12 +1,123 @@
 // treeUtils.js - Tree building and manipulation utilities with optimized structure
 import { Chess } from 'chess.js';
+import { normalizeFen } from './positions';
 
-// Build the variation tree from games with optimized data structure
-export function buildVariationTree(games, maxDepth = 10, minGames = 2) {
-  if (!games || !games.length) return null;
-  
-  // Create the root node (starting position)
-  const root = {
+// Per-node copy of a game, small enough to keep on every node the game passes through.
+// The top-level perspective fields are the first account's; perspectives lists every tracked
+// account that played the game (two when both players are tracked).
+export function getGameSummary(game) {
+  return {
+    id: game.id,
+    fingerprint: game.fingerprint || game.id,
+    white: game.white,
+    black: game.black,
+    result: game.result,
+    date: game.date,
+    endTime: game.endTime,
+    url: game.url,
+    whiteElo: game.whiteElo,
+    blackElo: game.blackElo,
+    playerColor: game.playerColor,
+    opponent: game.opponent,
+    playerElo: game.playerElo,
+    opponentElo: game.opponentElo,
+    perspectives: [getPerspective(game)]
+  };
+}
+
+// Attach another stored copy of the same game to its summary instead of counting it again
+export function addPerspective(summary, game) {
+  // Summaries from trees saved before perspectives existed
+  if (!summary.perspectives) {
+    summary.perspectives = [];
+  }
+  if (!summary.perspectives.some(perspective => perspective.id === game.id)) {
+    summary.perspectives.push(getPerspective(game));
+  }
+}
+
+// One summary per logical game, e.g. for games read from the database rather than a tree node
+export function summarizeGames(games) {
+  const summaries = new Map();
+  games.forEach(game => {
+    const fingerprint = game.fingerprint || game.id;
+    if (summaries.has(fingerprint)) {
+      addPerspective(summaries.get(fingerprint), game);
+    } else {
+      summaries.set(fingerprint, getGameSummary(game));
+    }
+  });
+  return [...summaries.values()];
+}
+
+function getPerspective(game) {
+  return {
+    id: game.id,
+    account: game.account,
+    source: game.source,
+    playerColor: game.playerColor,
+    result: game.result
+  };
+}
+
+// Key of a node in a merged graph (mergeTranspositions): the position and the ply it is reached at.
+// Move orders of the same length merge; keeping the ply also means repetitions can't create cycles.
+export function getTranspositionKey(fen, ply) {
+  return `${ply} ${normalizeFen(fen)}`;
+}
+
+// Next node of a merged graph, for a move played from node at the given ply. positions maps
+// transposition keys to nodes, so every move order reaching a position ends in the same node.
+// The node lists every node it is reached from in parents, and the move itself is counted in
+// node.edges[moveKey] = { move, frequency }, since the child's own move and frequency are those
+// of all its move orders.
+export function getMergedChild(node, moveKey, move, fen, ply, positions) {
+  const key = getTranspositionKey(fen, ply);
+  let child = positions.get(key);
+  if (!child) {
+    child = {
+      fen: fen,
+      move: move.san,
+      moveObj: {
+        from: move.from,
+        to: move.to,
+        promotion: move.promotion,
+        san: move.san,
+        color: move.color
+      },
+      children: {},
+      games: [],
+      frequency: 0,
+      id: `${node.id}_${moveKey}`,
+      parents: []
+    };
+    positions.set(key, child);
+  }
+
+  if (!node.children[moveKey]) {
+    node.children[moveKey] = child;
+    child.parents.push(node.id);
+  }
+
+  if (!node.edges) {
+    node.edges = {};
+  }
+  if (!node.edges[moveKey]) {
+    node.edges[moveKey] = { move: move.san, frequency: 0 };
+  }
+  node.edges[moveKey].frequency++;
+
+  return child;
+}
+
+// Whether more than one move order leads to the node (only in merged graphs)
+export function isTransposition(node) {
+  return Boolean(node && node.parents && node.parents.length > 1);
+}
+
+// Root node of a tree being built (starting position)
+export function createTreeRoot() {
+  return {
     fen: new Chess().fen(),
     move: 'Initial Position',
     children: {},
@@ -14,18 +125,62 @@ export function buildVariationTree(games, maxDepth = 10, minGames = 2) {
     frequency: 0,
     id: 'root'  // Add an ID to make node identification easier
   };
+}
+
+// Build the variation tree from games with optimized data structure.
+// With options.mergeTranspositions the result is a graph with one node per position (see getMergedChild)
+// instead of one per move sequence, so a node's games are those of every move order reaching it.
+export function buildVariationTree(games, maxDepth = 10, minGames = 2, options = {}) {
+  if (!games || !games.length) return null;
   
-  // Create game lookup by ID to avoid duplicates
-  const gameMap = new Map();
+  const root = createTreeRoot();
+  const builder = createTreeBuilder(root, maxDepth, options);
+  games.forEach(builder.addGame);
   
-  // Process each game to build the tree
-  games.forEach(game => {
+  // Prune the tree to remove variations with too few games
+  pruneTreeNodes(root, minGames);
+  
+  return root;
+}
+
+// Same tree as buildVariationTree, built chunkSize games at a time with a pause in between,
+// in which callbacks.onChunk(tree, processed) can report progress and callbacks.isCancelled()
+// can stop the build. Resolves to the unpruned tree, or null when cancelled.
+export async function buildVariationTreeInChunks(games, maxDepth, options = {}, callbacks = {}) {
+  const { chunkSize = 100 } = options;
+  const root = createTreeRoot();
+  const builder = createTreeBuilder(root, maxDepth, options);
+  
+  for (let i = 0; i < games.length; i += chunkSize) {
+    if (callbacks.isCancelled?.()) return null;
+    
+    games.slice(i, i + chunkSize).forEach(builder.addGame);
+    callbacks.onChunk?.(root, Math.min(i + chunkSize, games.length));
+    
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  
+  return callbacks.isCancelled?.() ? null : root;
+}
+
+// Adds games one at a time to root, up to maxDepth moves each
+function createTreeBuilder(root, maxDepth, options = {}) {
+  // One summary per logical game, shared by every node the game passes through,
+  // so copies stored for other accounts only add their perspective
+  const summaries = new Map();
+  const positions = options.mergeTranspositions ? new Map() : null;
+  
+  const addGame = (game) => {
     if (!game.pgn) return;
     
     try {
-      // Skip if we've already processed this game ID
-      if (gameMap.has(game.id)) return;
-      gameMap.set(game.id, true);
+      const fingerprint = game.fingerprint || game.id;
+      if (summaries.has(fingerprint)) {
+        addPerspective(summaries.get(fingerprint), game);
+        return;
+      }
+      const summary = getGameSummary(game);
+      summaries.set(fingerprint, summary);
       
       const chess = new Chess();
       chess.loadPgn(game.pgn);
@@ -36,16 +191,7 @@ export function buildVariationTree(games, maxDepth = 10, minGames = 2) {
       let currentNode = root;
       
       // Add the current game to the root's games
-      root.games.push({
-        id: game.id,
-        white: game.white,
-        black: game.black,
-        result: game.result,
-        date: game.date,
-        url: game.url,
-        whiteElo: game.whiteElo,
-        blackElo: game.blackElo
-      });
+      root.games.push(summary);
       
       // Increment root frequency
       root.frequency++;
@@ -60,6 +206,13 @@ export function buildVariationTree(games, maxDepth = 10, minGames = 2) {
         currentChess.move({ from: move.from, to: move.to, promotion: move.promotion });
         const fen = currentChess.fen();
         
+        if (positions) {
+          currentNode = getMergedChild(currentNode, moveKey, move, fen, i + 1, positions);
+          currentNode.frequency++;
+          currentNode.games.push(summary);
+          continue;
+        }
+        
         // If this move hasn't been seen yet at this position, create a new node
         if (!currentNode.children[moveKey]) {
           const nodeId = `${currentNode.id}_${moveKey}`;
@@ -85,31 +238,22 @@ export function buildVariationTree(games, maxDepth = 10, minGames = 2) {
         
         // Increment frequency and add the game to this node
         currentNode.frequency++;
-        currentNode.games.push({
-          id: game.id,
-          white: game.white,
-          black: game.black,
-          result: game.result,
-          date: game.date,
-          url: game.url,
-          whiteElo: game.whiteElo,
-          blackElo: game.blackElo
-        });
+        currentNode.games.push(summary);
       }
     } catch (error) {
       console.error('Error processing game PGN:', error, game.id);
     }
-  });
-  
-  // Prune the tree to remove variations with too few games
-  pruneTreeNodes(root, minGames);
+  };
   
-  return root;
+  return { addGame };
 }
 
-// Remove branches that have fewer games than minGames
-export function pruneTreeNodes(node, minGames) {
-  if (!node) return;
+// Remove branches that have fewer games than minGames.
+// visited holds the ids of the nodes already pruned, so a node shared by several parents in a
+// merged graph is pruned once instead of once per move order leading to it.
+export function pruneTreeNodes(node, minGames, visited = new Set()) {
+  if (!node || visited.has(node.id)) return;
+  visited.add(node.id);
   
   Object.keys(node.children).forEach(key => {
     const child = node.children[key];
@@ -117,55 +261,121 @@ export function pruneTreeNodes(node, minGames) {
     if (child.frequency < minGames) {
       delete node.children[key];
     } else {
-      pruneTreeNodes(child, minGames);
+      pruneTreeNodes(child, minGames, visited);
     }
   });
 }
 
-// Enhanced function to serialize tree with metadata
-export function serializeTree(tree, metadata = {}) {
-  const dataToSerialize = {
-    tree,
-    metadata: {
-      ...metadata,
-      timestamp: Date.now(),
-      version: '1.0'
-    }
-  };
-  return JSON.stringify(dataToSerialize);
+// Whether node can be reached from tree. Like pruneTreeNodes, visits each node of a merged
+// graph once, whatever the number of move orders leading to it.
+export function isNodeInTree(node, tree, visited = new Set()) {
+  if (!node || !tree || visited.has(tree.id)) return false;
+  if (node === tree) return true;
+  visited.add(tree.id);
+  
+  return Object.values(tree.children).some(child => isNodeInTree(node, child, visited));
 }
 
-// Enhanced function to deserialize tree with metadata
-export function deserializeTree(serializedData) {
-  if (!serializedData) return null;
+// Copy of the tree without the branches played in fewer than minGames games, leaving the tree
+// itself as it is (e.g. while it is still being built). pruned maps nodes to their copies, so a node
+// shared by several parents stays shared.
+export function pruneTree(node, minGames, pruned = new Map()) {
+  if (!node) return node;
+  if (pruned.has(node)) return pruned.get(node);
   
-  try {
-    const parsed = JSON.parse(serializedData);
+  // Create a shallow copy of the node
+  const prunedNode = {...node};
+  pruned.set(node, prunedNode);
+  
+  if (prunedNode.children) {
+    // Create a shallow copy of the children object
+    prunedNode.children = {...prunedNode.children};
     
-    // Check if this is the new format with metadata
-    if (parsed.tree && parsed.metadata) {
-      return {
-        tree: parsed.tree,
-        metadata: parsed.metadata
-      };
-    }
+    Object.keys(prunedNode.children).forEach(key => {
+      const child = prunedNode.children[key];
+      
+      if (child.frequency < minGames) {
+        delete prunedNode.children[key];
+      } else {
+        prunedNode.children[key] = pruneTree(child, minGames, pruned);
+      }
+    });
+  }
+  
+  return prunedNode;
+}
+
+// One tree from trees built from separate sets of games (see buildTreeInWorkers.js). Nodes are
+// matched by move, or by transposition key in merged graphs; frequencies, games and move counts
+// add up. The trees passed in are left as they are.
+export function combineTrees(trees, mergeTranspositions = false) {
+  const root = createTreeRoot();
+  const positions = new Map();
+  
+  trees.forEach(tree => {
+    // A node of a merged graph is added once, however many parents lead to it
+    const visited = new Set();
     
-    // Handle legacy format (direct tree)
-    return { 
-      tree: parsed, 
-      metadata: { 
-        timestamp: Date.now(), 
-        version: '0.9',
-        isLegacyFormat: true 
-      } 
+    const addNode = (source, target, ply) => {
+      visited.add(source);
+      target.frequency += source.frequency;
+      source.games.forEach(summary => target.games.push(summary));
+      
+      Object.entries(source.children || {}).forEach(([moveKey, child]) => {
+        let targetChild = target.children[moveKey];
+        
+        if (mergeTranspositions) {
+          const key = getTranspositionKey(child.fen, ply + 1);
+          targetChild = positions.get(key);
+          if (!targetChild) {
+            targetChild = { ...copyNodeFields(child, `${target.id}_${moveKey}`), parents: [] };
+            positions.set(key, targetChild);
+          }
+          if (!target.children[moveKey]) {
+            target.children[moveKey] = targetChild;
+            targetChild.parents.push(target.id);
+          }
+          
+          const edge = source.edges?.[moveKey];
+          if (edge) {
+            if (!target.edges) {
+              target.edges = {};
+            }
+            if (!target.edges[moveKey]) {
+              target.edges[moveKey] = { move: edge.move, frequency: 0 };
+            }
+            target.edges[moveKey].frequency += edge.frequency;
+          }
+        } else if (!targetChild) {
+          targetChild = copyNodeFields(child, `${target.id}_${moveKey}`);
+          target.children[moveKey] = targetChild;
+        }
+        
+        if (!visited.has(child)) {
+          addNode(child, targetChild, ply + 1);
+        }
+      });
     };
-  } catch (error) {
-    console.error('Error deserializing tree:', error);
-    return null;
-  }
+    
+    addNode(tree, root, 0);
+  });
+  
+  return root;
+}
+
+function copyNodeFields(node, id) {
+  return {
+    fen: node.fen,
+    move: node.move,
+    moveObj: node.moveObj,
+    children: {},
+    games: [],
+    frequency: 0,
+    id
+  };
 }
 
-// Function to merge two trees (for incremental updates)
+// Function to merge two trees (for incremental updates), not merged graphs
 export function mergeTrees(baseTree, newTree) {
   if (!baseTree) return newTree;
   if (!newTree) return baseTree;
@@ -174,9 +384,9 @@ export function mergeTrees(baseTree, newTree) {
   
   // Merge game arrays at root
   if (newTree.games && newTree.games.length > 0) {
-    const existingGameIds = new Set(result.games.map(g => g.id));
+    const existingGameIds = new Set(result.games.map(g => g.fingerprint || g.id));
     newTree.games.forEach(game => {
-      if (!existingGameIds.has(game.id)) {
+      if (!existingGameIds.has(game.fingerprint || game.id)) {
         result.games.push(game);
         result.frequency++;
       }
@@ -0,0 +1,30 @@
+import { pruneTreeNodes, isNodeInTree } from './treeUtils';
+
+// A merged graph where two moves lead from each node to the same next one, as transpositions do,
+// so there are 2^depth move orders to the last node
+function createTranspositionChain(depth) {
+  const nodes = [];
+  for (let ply = depth; ply >= 0; ply--) {
+    const next = nodes[0];
+    const id = ply === 0 ? 'root' : `node-${ply}`;
+    nodes.unshift({ id, frequency: 5, games: [], children: next ? { a: next, b: next, rare: { id: `${id}_rare`, frequency: 1, games: [], children: {} } } : {} });
+  }
+  return nodes;
+}
+
+describe('walking merged graphs', () => {
+  test('pruneTreeNodes prunes each shared node once', () => {
+    const nodes = createTranspositionChain(40);
+
+    pruneTreeNodes(nodes[0], 2);
+
+    nodes.slice(0, -1).forEach(node => expect(Object.keys(node.children)).toEqual(['a', 'b']));
+  });
+
+  test('isNodeInTree looks at each shared node once', () => {
+    const nodes = createTranspositionChain(40);
+
+    expect(isNodeInTree(nodes[40], nodes[0])).toBe(true);
+    expect(isNodeInTree({ id: 'elsewhere', children: {} }, nodes[0])).toBe(false);
+  });
+});
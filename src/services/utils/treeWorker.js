@@ -0,0 +1,5 @@
+// treeWorker.js - Starts a tree build worker (buildTree.worker.js), a module of its own so tests
+// can replace the worker
+export function createTreeWorker() {
+  return new Worker(new URL('./buildTree.worker.js', import.meta.url));
+}